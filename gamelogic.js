@@ -76,7 +76,11 @@ const RenderConfig = {
  * Поддерживает масштабирование под DPI экрана (Retina fix).
  */
 class RenderEngine {
-    constructor(canvasId) {
+    /**
+     * onResize - кому сообщать о смене размера (по умолчанию GameLogic).
+     * Канвас реплея передает свой обработчик, чтобы не перестраивать игру.
+     */
+    constructor(canvasId, onResize = null) {
         this.canvas = document.getElementById(canvasId);
         if (!this.canvas) throw new Error('Canvas not found');
         
@@ -88,6 +92,7 @@ class RenderEngine {
         // Камера
         this.cameraOffset = { x: 0, y: 0 };
         this.shakeStrength = 0;
+        this.onResize = onResize;
 
         this.resize();
         window.addEventListener('resize', () => this.resize());
@@ -107,7 +112,8 @@ class RenderEngine {
         this.ctx.textAlign = 'center';
         
         // Уведомляем игру, что размер изменился (нужен пересчет позиций)
-        if (GameLogic) GameLogic.onResize(this.width, this.height);
+        if (this.onResize) this.onResize(this.width, this.height);
+        else if (GameLogic) GameLogic.onResize(this.width, this.height);
     }
 
     clear() {
@@ -166,19 +172,19 @@ class Particle {
         this.text = '';
     }
 
-    spawn(x, y, type, options = {}) {
+    spawn(x, y, type, options = {}, rng = new SeededRandom()) {
         this.active = true;
         this.pos.set(x, y);
         this.type = type;
         
         switch (type) {
             case ParticleType.SPARK:
-                const angle = Math.random() * Math.PI * 2;
-                const speed = Math.random() * 2 + 1;
+                const angle = rng.next() * Math.PI * 2;
+                const speed = rng.next() * 2 + 1;
                 this.vel.set(Math.cos(angle) * speed, Math.sin(angle) * speed);
-                this.life = Math.random() * 20 + 10;
+                this.life = rng.next() * 20 + 10;
                 this.maxLife = this.life;
-                this.size = Math.random() * 2 + 1;
+                this.size = rng.next() * 2 + 1;
                 this.color = options.color || '#fff';
                 break;
                 
@@ -242,7 +248,11 @@ class Particle {
 }
 
 class ParticleSystem {
-    constructor() {
+    /**
+     * rng - SeededRandom для разлета искр (реплей может передать свой)
+     */
+    constructor(rng = new SeededRandom()) {
+        this.rng = rng;
         this.pool = [];
         this.limit = RenderConfig.particles.maxCount;
         
@@ -256,7 +266,7 @@ class ParticleSystem {
         // Ищем первую свободную частицу
         const p = this.pool.find(p => !p.active);
         if (p) {
-            p.spawn(x, y, type, options);
+            p.spawn(x, y, type, options, this.rng);
         }
     }
 
@@ -349,18 +359,32 @@ class Ball {
         this.radius = MathConfig.ballRadius;
         this.active = true;
         this.trailTimer = 0;
+        this.trail = true; // false - без частиц (проверки без рендера)
+        this.rng = new SeededRandom(); // Вся случайность физики шарика (см. GameLogic.createBall)
         
-        // Для Provably Fair режима (если нужно примагнитить к пути)
+        // Для Provably Fair режима: путь, по которому физика ведет шарик
         this.targetPath = null; 
-        this.pathIndex = 0;
+        this.pathIndex = 0; // Сколько решений (рядов) уже активировано
+        this.lane = 0;      // Сколько из них "вправо"
+        this.steerX = 0;    // Центр текущего коридора
+        this.bucketIndex = -1; // Слот, в который шарик вошел ниже последнего ряда
+        this.outcome = null;
+
+        // Для реплея
+        this.seed = null;       // Сид физики (SeededRandom)
+        this.steps = 0;         // Сколько шагов физики пройдено
+        this.boardSize = null;  // { width, height } доски при спавне
+        this.resized = false;   // Доска менялась во время полета
     }
 
     setPath(pathData) {
-        // pathData - это массив 0/1 (лево/право)
-        // В рамках "честной физики" мы не используем это для телепортации,
-        // но можем использовать для микро-коррекций (nudge), если хотим гарантии.
-        // В этой реализации мы делаем ставку на честную физику.
+        // pathData - это массив 0/1 (лево/право) из FairGameEngine.
+        // Телепортации нет: Physics.steer мягко подруливает шарик к нужной
+        // стороне каждого колышка, а при ударе добавляет толчок (nudge)
+        // в сторону решения. Так шарик всегда падает в честный слот.
         this.targetPath = pathData;
+        this.pathIndex = 0;
+        this.lane = 0;
     }
 
     applyForce(f) {
@@ -388,7 +412,7 @@ class Ball {
 
         // --- Логика трейла ---
         this.trailTimer++;
-        if (this.trailTimer % 3 === 0) {
+        if (this.trail && this.trailTimer % 3 === 0) {
             GameLogic.particles.spawn(this.pos.x, this.pos.y, ParticleType.TRAIL, {
                 size: this.radius * 0.8
             });
@@ -535,15 +559,82 @@ const Physics = {
         
         // Добавляем упругость (bounce)
         // Немного случайности в отскок, чтобы симуляция была живой
-        const bounceRand = MathConfig.Utils.randomFloat(0.95, 1.05);
+        const bounceRand = ball.rng.float(0.95, 1.05);
         const restitution = MathConfig.bounce * bounceRand;
 
         ball.vel.x = (ball.vel.x - 2 * dot * nx) * restitution;
         ball.vel.y = (ball.vel.y - 2 * dot * ny) * restitution;
 
-        // Добавляем случайное боковое ускорение (Chaos factor)
-        // Это важно для Плинко, иначе шарики будут падать слишком предсказуемо
-        ball.vel.x += (Math.random() - 0.5) * 0.5;
+        // Добавляем боковое ускорение (Chaos factor)
+        // Это важно для Плинко, иначе шарики будут падать слишком предсказуемо.
+        // Если у шарика есть честный путь - толкаем с колышка в сторону его коридора.
+        if (ball.targetPath) {
+            const dir = Math.sign(ball.steerX - peg.pos.x);
+            ball.vel.x += dir * Physics.steering.nudge;
+        } else {
+            ball.vel.x += (ball.rng.next() - 0.5) * 0.5;
+        }
+    },
+
+    /**
+     * Параметры подруливания к честному пути
+     */
+    steering: {
+        lookahead: 0.7,  // За какую долю gapY до ряда активируется его решение
+        stiffness: 0.05, // Сила притяжения к центру коридора
+        damping: 0.25,   // Гашение боковой скорости
+        nudge: 0.6       // Толчок при ударе о колышек
+    },
+
+    /**
+     * Подруливание шарика к коридору, заданному targetPath.
+     * 
+     * После k решений, из которых lane - "вправо", центр коридора:
+     *   x = centerX + (lane - k / 2) * gapX
+     * Решение ряда активируется чуть раньше, чем шарик долетает до колышка,
+     * поэтому он бьет колышек уже со стороны нужного направления.
+     */
+    steer(ball, layout) {
+        if (!ball.targetPath) return;
+
+        const cfg = Physics.steering;
+
+        while (ball.pathIndex < ball.targetPath.length &&
+               ball.pos.y > layout.paddingTop + ball.pathIndex * layout.gapY - layout.gapY * cfg.lookahead) {
+            ball.lane += ball.targetPath[ball.pathIndex];
+            ball.pathIndex++;
+        }
+
+        ball.steerX = layout.centerX + (ball.lane - ball.pathIndex / 2) * layout.gapX;
+        ball.acc.x += (ball.steerX - ball.pos.x) * cfg.stiffness - ball.vel.x * cfg.damping;
+    },
+
+    /**
+     * Перегородки между слотами.
+     * Они начинаются от последнего ряда колышков: шарик, прошедший ниже
+     * этого ряда, уже не может перекатиться в соседний слот.
+     */
+    checkBucketWalls(ball, layout) {
+        if (ball.pos.y < layout.lastRowY) {
+            ball.bucketIndex = -1;
+            return;
+        }
+
+        if (ball.bucketIndex === -1) {
+            const index = Math.floor((ball.pos.x - layout.firstBucketX) / layout.gapX);
+            ball.bucketIndex = MathConfig.Utils.clamp(index, 0, layout.rows);
+        }
+
+        const left = layout.firstBucketX + ball.bucketIndex * layout.gapX + ball.radius;
+        const right = left + layout.gapX - ball.radius * 2;
+
+        if (ball.pos.x < left) {
+            ball.pos.x = left;
+            ball.vel.x *= -0.5;
+        } else if (ball.pos.x > right) {
+            ball.pos.x = right;
+            ball.vel.x *= -0.5;
+        }
     },
 
     /**
@@ -576,17 +667,28 @@ const GameLogic = {
     lastTime: 0,
     accumulator: 0,
     step: 1 / 60, // 60 FPS physics fixed step
+    timeScale: 1, // Ускорение времени (турбо авто-ставки), шаг физики не меняется
 
     // Объекты
     pegs: [],
     balls: [],
     buckets: [],
     
+    // Колышки по рядам (для быстрой проверки коллизий)
+    pegRows: [],
+    nextBallId: 1,
+
+    // Отложенный спавн (мульти-шар): { bet, outcome, at }
+    spawnQueue: [],
+    stepCount: 0,
+    ballsInPlay: 0,
+    
     // Конфигурация текущей игры
     currentRowCount: 14,
     currentRisk: 'normal',
     pegGapX: 0,
     pegGapY: 0,
+    layout: null,
     
     init: () => {
         // Инициализация компонентов
@@ -596,6 +698,8 @@ const GameLogic = {
         // Загрузка конфига
         if (window.MathConfig) {
             GameLogic.currentRowCount = window.MathConfig.rows;
+            GameLogic.currentRisk = window.MathConfig.risk;
+            window.MathConfig.onChange(GameLogic.applyConfig);
         }
         
         // Создание уровня
@@ -609,15 +713,109 @@ const GameLogic = {
     },
 
     /**
-     * Перестройка уровня (пирамиды)
+     * Подписчик MathConfig.onChange: новые ряды/риск -> новое поле
+     */
+    applyConfig: (config) => {
+        GameLogic.currentRowCount = config.rows;
+        GameLogic.currentRisk = config.risk;
+        GameLogic.createLevel();
+    },
+
+    /**
+     * Игровой цикл с фиксированным шагом физики.
+     * Время кадра копится в accumulator и расходуется шагами по step,
+     * поэтому физика одинакова при 30, 60 и 144 FPS.
+     */
+    loop: (timestamp) => {
+        if (!GameLogic.isRunning) return;
+
+        // Первый кадр (и возврат на вкладку) не должен "догонять" прошлое
+        if (!GameLogic.lastTime) GameLogic.lastTime = timestamp;
+        const frameTime = Math.min((timestamp - GameLogic.lastTime) / 1000, 0.25);
+        GameLogic.lastTime = timestamp;
+
+        GameLogic.accumulator += frameTime * GameLogic.timeScale;
+        while (GameLogic.accumulator >= GameLogic.step) {
+            GameLogic.update(GameLogic.step);
+            GameLogic.accumulator -= GameLogic.step;
+        }
+
+        GameLogic.draw();
+        requestAnimationFrame(GameLogic.loop);
+    },
+
+    /**
+     * Отрисовка кадра
+     */
+    draw: () => {
+        const renderer = GameLogic.renderer;
+        const ctx = renderer.ctx;
+
+        renderer.beginFrame();
+
+        GameLogic.buckets.forEach(bucket => bucket.draw(ctx));
+        GameLogic.pegs.forEach(peg => peg.draw(ctx));
+        GameLogic.particles.draw(ctx);
+        GameLogic.balls.forEach(ball => ball.draw(ctx));
+
+        renderer.endFrame();
+    },
+
+    /**
+     * Вызывается RenderEngine при изменении размера канваса.
+     * Поле перестраивается, а летящие шарики переносятся в ту же
+     * точку относительно колышков, чтобы не сбиться с пути.
+     */
+    onResize: (width, height) => {
+        // Первый resize приходит из конструктора RenderEngine, до init
+        if (!GameLogic.renderer) return;
+
+        const old = GameLogic.layout;
+        GameLogic.createLevel();
+        const layout = GameLogic.layout;
+
+        if (!old) return;
+
+        GameLogic.balls.forEach(ball => {
+            const col = (ball.pos.x - old.centerX) / old.gapX;
+            const row = (ball.pos.y - old.paddingTop) / old.gapY;
+
+            ball.pos.set(layout.centerX + col * layout.gapX, layout.paddingTop + row * layout.gapY);
+            ball.vel.mult(layout.gapY / old.gapY);
+            ball.radius = layout.ballRadius;
+            ball.resized = true;
+        });
+    },
+
+    /**
+     * Перестройка уровня (пирамиды) под текущий канвас
      */
     createLevel: () => {
-        GameLogic.pegs = [];
-        GameLogic.buckets = [];
-        
-        const rows = GameLogic.currentRowCount;
-        const canvasW = GameLogic.renderer.width;
-        const canvasH = GameLogic.renderer.height;
+        const board = GameLogic.buildBoard(
+            GameLogic.currentRowCount,
+            GameLogic.currentRisk,
+            GameLogic.renderer.width,
+            GameLogic.renderer.height
+        );
+
+        GameLogic.pegs = board.pegs;
+        GameLogic.pegRows = board.pegRows;
+        GameLogic.buckets = board.buckets;
+        GameLogic.layout = board.layout;
+        GameLogic.pegGapX = board.layout.gapX;
+        GameLogic.pegGapY = board.layout.gapY;
+        MathConfig.pegRadius = board.layout.pegRadius;
+    },
+
+    /**
+     * Построение доски без привязки к канвасу и состоянию GameLogic.
+     * Возвращает { pegs, pegRows, buckets, layout } - этого достаточно
+     * для stepBall, поэтому доску можно симулировать и без рендера.
+     */
+    buildBoard: (rows, risk, canvasW, canvasH) => {
+        const pegs = [];
+        const pegRows = [];
+        const buckets = [];
         
         // Вычисляем отступы
         // Пирамида должна занимать примерно 80% высоты
@@ -626,14 +824,11 @@ const GameLogic = {
         const availableHeight = canvasH - paddingTop - paddingBottom;
         
         const gapY = availableHeight / rows;
-        // GapX делаем чуть шире для красоты
-        const gapX = gapY * 1.0; 
-        
-        GameLogic.pegGapX = gapX;
-        GameLogic.pegGapY = gapY;
+        // GapX делаем чуть шире для красоты,
+        // но последний ряд (rows + 2 колышка) должен помещаться по ширине
+        const gapX = Math.min(gapY * 1.0, canvasW / (rows + 2));
         
         const pegRadius = Math.min(4, gapX / 6);
-        MathConfig.pegRadius = pegRadius;
 
         // Генерация колышков
         for (let row = 0; row < rows; row++) {
@@ -642,6 +837,7 @@ const GameLogic = {
             // Но классическая пирамида: ряд 0 -> 1 колышек? 
             // Plinko X имеет "срезанный верх". Начнем с 3 колышков.
             const cols = row + 3;
+            pegRows.push([]);
             
             for (let col = 0; col < cols; col++) {
                 // Центрирование
@@ -651,7 +847,9 @@ const GameLogic = {
                 const x = offsetX + col * gapX;
                 const y = paddingTop + row * gapY;
                 
-                GameLogic.pegs.push(new Peg(x, y, pegRadius));
+                const peg = new Peg(x, y, pegRadius);
+                pegs.push(peg);
+                pegRows[row].push(peg);
             }
         }
 
@@ -663,4 +861,800 @@ const GameLogic = {
         
         const bucketCount = rows + 1;
         const lastRowY = paddingTop + (rows - 1) * gapY;
-        const bucketY = lastRowY 
+        const bucketY = lastRowY + gapY * 0.6;
+        const bucketHeight = Math.min(24, gapY * 0.8);
+        const firstBucketX = (canvasW - bucketCount * gapX) / 2;
+        const multipliers = PayTables[rows][risk];
+
+        for (let i = 0; i < bucketCount; i++) {
+            buckets.push(new Bucket(
+                i,
+                firstBucketX + i * gapX,
+                bucketY,
+                gapX,
+                bucketHeight,
+                multipliers[i],
+                risk
+            ));
+        }
+
+        // Геометрия доски (используется физикой и подруливанием)
+        const layout = {
+            rows,
+            width: canvasW,
+            height: canvasH,
+            centerX: canvasW / 2,
+            paddingTop,
+            gapX,
+            gapY,
+            lastRowY,
+            bucketY,
+            firstBucketX,
+            pegRadius,
+            // Шарик не должен быть шире просвета между колышками
+            ballRadius: Math.min(MathConfig.ballRadius, gapX * 0.25)
+        };
+
+        return { pegs, pegRows, buckets, layout };
+    },
+
+    /**
+     * Запуск шарика по результату FairGameEngine.
+     * outcome: { path, slotIndex, nonce, rows, risk, ... }
+     * delaySteps > 0 - шарик встает в очередь и выпадет через столько
+     * шагов физики (разнесенный по времени спавн мульти-ставки).
+     */
+    spawnBall: (bet, outcome, delaySteps = 0) => {
+        if (delaySteps > 0) {
+            GameLogic.spawnQueue.push({ bet, outcome, at: GameLogic.stepCount + delaySteps });
+            GameLogic.updateBallsCount();
+            return null;
+        }
+
+        const seed = GameLogic.findPhysicsSeed(outcome, GameLogic);
+        const ball = GameLogic.createBall(GameLogic.nextBallId++, bet, GameLogic.layout, outcome, seed);
+        GameLogic.balls.push(ball);
+        return ball;
+    },
+
+    /**
+     * Новый шарик над вершиной пирамиды.
+     * Без outcome шарик летит по чистой физике, без честного пути.
+     * 
+     * Генератор физики шарика сидируется хэшем раунда (или явным seed),
+     * поэтому один и тот же раунд на той же доске повторяется бит в бит.
+     */
+    createBall: (id, bet, layout, outcome = null, seed = null) => {
+        const ball = new Ball(id, bet);
+        ball.radius = layout.ballRadius;
+        ball.seed = seed !== null ? seed : GameLogic.physicsSeed(outcome);
+        ball.rng = new SeededRandom(ball.seed);
+        ball.boardSize = { width: layout.width, height: layout.height };
+
+        // Небольшой разброс точки старта, чтобы шарики не падали одинаково
+        const jitter = ball.rng.float(-0.1, 0.1) * layout.gapX;
+        ball.pos.set(layout.centerX + jitter, layout.paddingTop - layout.gapY);
+        ball.oldPos.set(ball.pos.x, ball.pos.y);
+
+        if (outcome) {
+            ball.outcome = outcome;
+            ball.setPath(outcome.path);
+        }
+        return ball;
+    },
+
+    /**
+     * Сид физики раунда. Отдельный префикс, чтобы последовательность
+     * физики не совпадала с байтами, из которых получен путь.
+     * attempt > 0 - запасные сиды (см. findPhysicsSeed).
+     * Без outcome - случайный сид.
+     */
+    physicsSeed: (outcome, attempt = 0) => {
+        if (!outcome || !outcome.hash) return null;
+        return attempt ? `physics:${outcome.hash}:${attempt}` : `physics:${outcome.hash}`;
+    },
+
+    // Сколько запасных сидов пробовать, если подруливание промахнулось
+    physicsSeedAttempts: 8,
+
+    /**
+     * Физика детерминирована, поэтому падение можно заранее прогнать
+     * без рендера на той же доске. Если шарик с основным сидом не попал
+     * в честный слот (редкий случай), берется следующий запасной сид.
+     * Так визуальный слот совпадает с выплатой всегда, а не "почти всегда".
+     */
+    findPhysicsSeed: (outcome, board) => {
+        for (let attempt = 0; attempt < GameLogic.physicsSeedAttempts; attempt++) {
+            const seed = GameLogic.physicsSeed(outcome, attempt);
+            const ball = GameLogic.createBall(-1, 0, board.layout, outcome, seed);
+            ball.trail = false;
+
+            if (Simulation.drop(ball, board, Simulation.defaults.maxSteps) === outcome.slotIndex) return seed;
+        }
+
+        console.warn(`[GameLogic] No physics seed lands in slot ${outcome.slotIndex}, using the primary one`);
+        return GameLogic.physicsSeed(outcome);
+    },
+
+    /**
+     * Один шаг физики для шарика.
+     * Возвращает индекс слота, если шарик приземлился, иначе -1.
+     * effects = false отключает визуальные эффекты (для проверок без рендера),
+     * board - любая доска из buildBoard (по умолчанию текущая).
+     */
+    stepBall: (ball, dt, effects = true, board = GameLogic) => {
+        const layout = board.layout;
+
+        Physics.steer(ball, layout);
+        ball.update(dt);
+        ball.steps++;
+
+        // Проверяем только ближайшие ряды колышков
+        const row = Math.round((ball.pos.y - layout.paddingTop) / layout.gapY);
+        for (let r = row - 1; r <= row + 1; r++) {
+            const pegs = board.pegRows[r];
+            if (!pegs) continue;
+
+            for (const peg of pegs) {
+                if (Physics.checkCircleCollision(ball, peg) && effects) {
+                    peg.hit();
+                    GameLogic.particles.spawnBurst(peg.pos.x, peg.pos.y, 3, RenderConfig.colors.pegGlow);
+                }
+            }
+        }
+
+        Physics.checkWalls(ball, layout.width, layout.height);
+        Physics.checkBucketWalls(ball, layout);
+
+        if (ball.pos.y < layout.bucketY) return -1;
+
+        ball.active = false;
+        return ball.bucketIndex;
+    },
+
+    /**
+     * Шаг симуляции всех объектов
+     */
+    update: (dt) => {
+        GameLogic.stepCount++;
+
+        // Выпуск отложенных шариков
+        const due = GameLogic.spawnQueue.filter(item => item.at <= GameLogic.stepCount);
+        if (due.length) {
+            GameLogic.spawnQueue = GameLogic.spawnQueue.filter(item => item.at > GameLogic.stepCount);
+            due.forEach(({ bet, outcome }) => GameLogic.spawnBall(bet, outcome));
+        }
+
+        GameLogic.pegs.forEach(peg => peg.update());
+        GameLogic.buckets.forEach(bucket => bucket.update());
+        GameLogic.particles.update();
+
+        GameLogic.balls.forEach(ball => {
+            const bucketIndex = GameLogic.stepBall(ball, dt);
+            if (bucketIndex !== -1) GameLogic.onBallLanded(ball, bucketIndex);
+        });
+
+        GameLogic.balls = GameLogic.balls.filter(ball => ball.active);
+        GameLogic.updateBallsCount();
+    },
+
+    /**
+     * Счетчик шариков в игре (в полете + в очереди) для оверлея #balls-count
+     */
+    updateBallsCount: () => {
+        const count = GameLogic.balls.length + GameLogic.spawnQueue.length;
+        if (count === GameLogic.ballsInPlay) return;
+
+        GameLogic.ballsInPlay = count;
+        if (window.UI) window.UI.setBallsCount(count);
+    },
+
+    /**
+     * Ускорение симуляции: за кадр делается в scale раз больше шагов физики,
+     * поэтому траектории те же, что и на обычной скорости
+     */
+    setTimeScale: (scale) => {
+        GameLogic.timeScale = Math.max(1, scale);
+    },
+
+    /**
+     * Анимация попадания в слот (шарик или мгновенная ставка без шарика)
+     */
+    flashBucket: (slotIndex, multiplier) => {
+        const bucket = GameLogic.buckets[slotIndex];
+        if (!bucket) return;
+
+        bucket.triggerWin();
+        GameLogic.particles.spawnText(bucket.x + bucket.width / 2, bucket.y - 10, `${multiplier}x`, bucket.colorStart);
+    },
+
+    /**
+     * Шарик попал в слот. Выплата всегда считается по slotIndex из
+     * FairGameEngine, визуальный слот служит только для анимации.
+     */
+    onBallLanded: (ball, bucketIndex) => {
+        const outcome = ball.outcome;
+
+        if (bucketIndex !== outcome.slotIndex) {
+            console.warn(`[GameLogic] Ball #${ball.id} landed in ${bucketIndex}, fair slot is ${outcome.slotIndex}`);
+        }
+
+        // Множитель из ответа сервиса ставок; локальная таблица - для старых исходов
+        const multiplier = outcome.multiplier !== undefined
+            ? outcome.multiplier
+            : PayTables[outcome.rows][outcome.risk][outcome.slotIndex];
+        const payout = MathConfig.Utils.roundMoney(ball.bet * multiplier);
+
+        GameLogic.flashBucket(outcome.slotIndex, multiplier);
+        if (multiplier >= 10) GameLogic.renderer.triggerShake(multiplier >= 100 ? 8 : 4);
+
+        window.UI.onBallLanded({
+            ballId: ball.id,
+            bet: ball.bet,
+            multiplier,
+            payout,
+            slotIndex: outcome.slotIndex,
+            nonce: outcome.nonce,
+            rows: outcome.rows,
+            risk: outcome.risk,
+            groupId: outcome.groupId,
+            replay: Replay.fromBall(ball, bucketIndex)
+        });
+    },
+
+    /**
+     * Проверка подруливания без рендера: прогоняет count шариков
+     * со случайными честными путями на доске текущего размера и сравнивает
+     * визуальный слот с вычисленным. Запускать из консоли:
+     *   GameLogic.verifySteering(5000)
+     */
+    verifySteering: (count = 5000) => {
+        const { rows, width, height } = GameLogic.layout;
+        const report = Simulation.run({
+            rows, width, height,
+            risk: GameLogic.currentRisk,
+            balls: count,
+            mode: 'fair'
+        });
+
+        const { mismatches, stuck, reseeded } = report;
+        const ok = mismatches === 0 && stuck === 0;
+        console.log(
+            `%c[GameLogic] Steering check: ${count} drops, ${mismatches} mismatches, ${stuck} stuck, ${reseeded} reseeded`,
+            `color: ${ok ? 'lime' : 'red'}`
+        );
+        return { count, mismatches, stuck, reseeded, ok };
+    }
+};
+
+/* ==========================================================================
+   7. HEADLESS SIMULATION
+   ========================================================================== */
+
+/**
+ * Симуляция физики без канваса и DOM: своя доска из GameLogic.buildBoard,
+ * фиксированный шаг GameLogic.step, никаких частиц и эффектов.
+ * Работает и в браузере, и в Node (tools/simulate.js).
+ * 
+ * Режимы:
+ *  'physics' - чистая физика со случайным отскоком, без честного пути.
+ *              Показывает, насколько сама доска близка к биномиальному
+ *              распределению ProbabilityEngine.
+ *  'fair'    - шарик ведется по пути FairGameEngine, как в игре
+ *              (включая выбор сида через findPhysicsSeed).
+ *              reseeded - сколько раундов потребовали запасной сид,
+ *              mismatch - расхождение слота с outcome даже после этого.
+ */
+const Simulation = {
+    defaults: {
+        rows: 16,
+        risk: 'normal',
+        balls: 10000,
+        width: 800,
+        height: 800,
+        mode: 'physics',
+        maxSteps: 60 * 60, // Не дольше минуты игрового времени на шарик
+        serverSeed: null,  // Для 'fair': по умолчанию случайный
+        clientSeed: 'simulation',
+        seed: null         // Для 'physics': сид прогона (null - случайный)
+    },
+
+    /**
+     * Прогон options.balls шариков. Возвращает отчет (см. report).
+     */
+    run(options = {}) {
+        const opts = { ...Simulation.defaults, ...options };
+
+        if (!PayTables[opts.rows] || !PayTables[opts.rows][opts.risk]) {
+            throw new Error(`Simulation: no pay table for ${opts.rows} rows / ${opts.risk}`);
+        }
+        if (opts.mode !== 'physics' && opts.mode !== 'fair') {
+            throw new Error(`Simulation: unknown mode "${opts.mode}"`);
+        }
+
+        const board = GameLogic.buildBoard(opts.rows, opts.risk, opts.width, opts.height);
+        const serverSeed = opts.serverSeed || FairGameEngine.generateServerSeed();
+        const histogram = new Array(opts.rows + 1).fill(0);
+        let stuck = 0;
+        let mismatches = 0;
+        let reseeded = 0;
+
+        for (let i = 0; i < opts.balls; i++) {
+            const outcome = opts.mode === 'fair'
+                ? FairGameEngine.computeOutcome(serverSeed, opts.clientSeed, i, opts.rows)
+                : null;
+
+            // В режиме fair сид выбирается так же, как в игре (spawnBall)
+            let seed = null;
+            if (outcome) {
+                seed = GameLogic.findPhysicsSeed(outcome, board);
+                if (seed !== GameLogic.physicsSeed(outcome)) reseeded++;
+            } else if (opts.seed !== null) {
+                seed = `${opts.seed}:${i}`;
+            }
+
+            const ball = GameLogic.createBall(-1, 0, board.layout, outcome, seed);
+            ball.trail = false;
+
+            const bucketIndex = Simulation.drop(ball, board, opts.maxSteps);
+            if (bucketIndex === -1) {
+                stuck++;
+                continue;
+            }
+
+            histogram[bucketIndex]++;
+            if (outcome && bucketIndex !== outcome.slotIndex) mismatches++;
+        }
+
+        return Simulation.report(opts, histogram, stuck, mismatches, reseeded);
+    },
+
+    /**
+     * Падение одного шарика до слота. -1, если за maxSteps не долетел.
+     */
+    drop(ball, board, maxSteps) {
+        for (let step = 0; step < maxSteps; step++) {
+            const bucketIndex = GameLogic.stepBall(ball, GameLogic.step, false, board);
+            if (bucketIndex !== -1) return bucketIndex;
+        }
+        return -1;
+    },
+
+    /**
+     * Проверка детерминизма: каждый раунд падает дважды на новой доске,
+     * позиция и скорость должны совпасть на каждом шаге бит в бит.
+     */
+    verifyDeterminism(count = 200, options = {}) {
+        const opts = { ...Simulation.defaults, ...options };
+        const serverSeed = FairGameEngine.generateServerSeed();
+        let diverged = 0;
+
+        const trace = (outcome) => {
+            const board = GameLogic.buildBoard(opts.rows, opts.risk, opts.width, opts.height);
+            const ball = GameLogic.createBall(-1, 0, board.layout, outcome);
+            ball.trail = false;
+
+            const states = [];
+            for (let step = 0; step < opts.maxSteps; step++) {
+                const bucketIndex = GameLogic.stepBall(ball, GameLogic.step, false, board);
+                states.push(ball.pos.x, ball.pos.y, ball.vel.x, ball.vel.y);
+                if (bucketIndex !== -1) break;
+            }
+            return states;
+        };
+
+        for (let i = 0; i < count; i++) {
+            const outcome = FairGameEngine.computeOutcome(serverSeed, opts.clientSeed, i, opts.rows);
+            const first = trace(outcome);
+            const second = trace(outcome);
+
+            if (first.length !== second.length || first.some((v, k) => !Object.is(v, second[k]))) {
+                diverged++;
+            }
+        }
+
+        const ok = diverged === 0;
+        console.log(
+            `%c[Simulation] Determinism check: ${count} rounds, ${diverged} diverged`,
+            `color: ${ok ? 'lime' : 'red'}`
+        );
+        return { count, diverged, ok };
+    },
+
+    /**
+     * Сравнение гистограммы с ProbabilityEngine.getProbabilities
+     */
+    report(opts, histogram, stuck, mismatches, reseeded) {
+        const landed = opts.balls - stuck;
+        const probabilities = ProbabilityEngine.getProbabilities(opts.rows);
+
+        const slots = histogram.map((count, slot) => {
+            const observed = landed ? count / landed : 0;
+            return {
+                slot,
+                count,
+                observed,
+                expected: probabilities[slot],
+                deviation: observed - probabilities[slot]
+            };
+        });
+
+        return {
+            rows: opts.rows,
+            risk: opts.risk,
+            mode: opts.mode,
+            balls: opts.balls,
+            landed,
+            stuck,
+            mismatches,
+            reseeded,
+            histogram,
+            probabilities,
+            slots,
+            maxDeviation: Math.max(...slots.map(s => Math.abs(s.deviation)))
+        };
+    },
+
+    /**
+     * Вывод отчета в консоль (таблица по слотам)
+     */
+    print(report) {
+        console.log(
+            `%c[Simulation] ${report.rows} rows / ${report.risk} / ${report.mode}: ` +
+            `${report.landed}/${report.balls} landed, ${report.stuck} stuck, ${report.mismatches} mismatches ` +
+            `(${report.reseeded} reseeded), ` +
+            `max deviation ${(report.maxDeviation * 100).toFixed(3)}%`,
+            'color: cyan'
+        );
+        console.table(report.slots.map(s => ({
+            slot: s.slot,
+            count: s.count,
+            'observed %': (s.observed * 100).toFixed(3),
+            'expected %': (s.expected * 100).toFixed(3),
+            'deviation %': (s.deviation * 100).toFixed(3)
+        })));
+    }
+};
+
+/* ==========================================================================
+   8. REPLAY (RECORD & PLAYBACK)
+   ========================================================================== */
+
+/**
+ * Запись раунда для повтора.
+ * 
+ * Физика детерминирована (SeededRandom + фиксированный шаг), поэтому
+ * хранятся только входные данные: путь, сид физики, размер доски и
+ * константы физики. Траектория при просмотре пересчитывается заново,
+ * а итог (число шагов, финальная позиция, слот) сверяется с записью.
+ * 
+ * Формат (JSON, ~0.5 КБ):
+ * {
+ *   v: 1,
+ *   round:   { serverSeedHash, clientSeed, nonce, hash, rows, risk, path: '0110...', slotIndex },
+ *   bet, multiplier, payout,
+ *   board:   { width, height },
+ *   physics: { gravity, friction, bounce, ballRadius, step, steering },
+ *   seed:    'physics:<hash>',
+ *   result:  { steps, bucketIndex, x, y },
+ *   resized: false,
+ *   time
+ * }
+ */
+const Replay = {
+    VERSION: 1,
+
+    /**
+     * Запись по приземлившемуся шарику (вызывается из GameLogic.onBallLanded)
+     */
+    fromBall(ball, bucketIndex) {
+        const outcome = ball.outcome;
+        const multiplier = outcome.multiplier !== undefined
+            ? outcome.multiplier
+            : PayTables[outcome.rows][outcome.risk][outcome.slotIndex];
+
+        return {
+            v: Replay.VERSION,
+            round: {
+                serverSeedHash: outcome.serverSeedHash,
+                clientSeed: outcome.clientSeed,
+                nonce: outcome.nonce,
+                hash: outcome.hash,
+                rows: outcome.rows,
+                risk: outcome.risk,
+                path: outcome.path.join(''),
+                slotIndex: outcome.slotIndex
+            },
+            bet: ball.bet,
+            multiplier,
+            payout: MathConfig.Utils.roundMoney(ball.bet * multiplier),
+            board: { ...ball.boardSize },
+            physics: Replay.capturePhysics(),
+            seed: ball.seed,
+            result: { steps: ball.steps, bucketIndex, x: ball.pos.x, y: ball.pos.y },
+            resized: ball.resized,
+            time: Date.now()
+        };
+    },
+
+    /**
+     * Текущие константы физики
+     */
+    capturePhysics() {
+        return {
+            gravity: MathConfig.gravity,
+            friction: MathConfig.friction,
+            bounce: MathConfig.bounce,
+            ballRadius: MathConfig.ballRadius,
+            step: GameLogic.step,
+            steering: { ...Physics.steering }
+        };
+    },
+
+    /**
+     * Выполнение fn с физикой из записи (после смены констант
+     * старые раунды должны повторяться так же, как были сыграны)
+     */
+    withPhysics(physics, fn) {
+        const saved = Replay.capturePhysics();
+        const apply = (p) => {
+            MathConfig.gravity = p.gravity;
+            MathConfig.friction = p.friction;
+            MathConfig.bounce = p.bounce;
+            MathConfig.ballRadius = p.ballRadius;
+            GameLogic.step = p.step;
+            Object.assign(Physics.steering, p.steering);
+        };
+
+        apply(physics);
+        try {
+            return fn();
+        } finally {
+            apply(saved);
+        }
+    },
+
+    serialize(replay) {
+        return JSON.stringify(replay);
+    },
+
+    /**
+     * Разбор записи (например, присланной игроком в поддержку)
+     */
+    parse(text) {
+        let replay;
+        try {
+            replay = typeof text === 'string' ? JSON.parse(text) : text;
+        } catch (e) {
+            throw new Error('Replay is not valid JSON');
+        }
+
+        if (!replay || replay.v !== Replay.VERSION) throw new Error('Unsupported replay version');
+        if (!replay.round || !replay.board || !replay.physics || !replay.result || !replay.seed) {
+            throw new Error('Replay is missing required fields');
+        }
+        if (!/^[01]+$/.test(replay.round.path) || replay.round.path.length !== replay.round.rows) {
+            throw new Error('Replay path does not match rows');
+        }
+        if (!PayTables[replay.round.rows] || !PayTables[replay.round.rows][replay.round.risk]) {
+            throw new Error(`Unsupported board: ${replay.round.rows} rows / ${replay.round.risk}`);
+        }
+        return replay;
+    },
+
+    /**
+     * Пересчет траектории. Возвращает доску, кадры (x, y на каждый шаг,
+     * кадр 0 - точка спавна) и признак точного совпадения с записью.
+     */
+    simulate(replay) {
+        const { round, board: size } = replay;
+
+        return Replay.withPhysics(replay.physics, () => {
+            const board = GameLogic.buildBoard(round.rows, round.risk, size.width, size.height);
+            const outcome = {
+                path: round.path.split('').map(Number),
+                slotIndex: round.slotIndex,
+                hash: round.hash,
+                rows: round.rows,
+                risk: round.risk
+            };
+
+            const ball = GameLogic.createBall(-1, replay.bet, board.layout, outcome, replay.seed);
+            ball.trail = false;
+
+            const frames = [ball.pos.x, ball.pos.y];
+            let bucketIndex = -1;
+            while (bucketIndex === -1 && ball.steps < Simulation.defaults.maxSteps) {
+                bucketIndex = GameLogic.stepBall(ball, GameLogic.step, false, board);
+                frames.push(ball.pos.x, ball.pos.y);
+            }
+
+            const exact = !replay.resized &&
+                ball.steps === replay.result.steps &&
+                ball.pos.x === replay.result.x &&
+                ball.pos.y === replay.result.y;
+
+            return {
+                board,
+                frames,
+                frameCount: frames.length / 2,
+                radius: ball.radius,
+                bucketIndex,
+                exact
+            };
+        });
+    }
+};
+
+/**
+ * Проигрыватель реплея на отдельном канвасе: пауза, перемотка, скорость.
+ * Доска рисуется в размере записи и масштабируется под канвас.
+ */
+class ReplayPlayer {
+    constructor(canvasId) {
+        this.canvasId = canvasId;
+        this.renderer = null;
+
+        this.data = null;
+        this.frame = 0;          // Дробный: между кадрами интерполируем
+        this.step = GameLogic.step; // Длительность кадра записи, с
+        this.speed = 1;
+        this.playing = false;
+        this.lastTime = 0;
+        this.rafId = null;
+        this.landed = false;
+
+        this.ball = new Ball(-1, 0);
+        this.onFrame = null;     // (frame, frameCount, playing) - для синхронизации контролов
+
+        this.tick = this.tick.bind(this);
+    }
+
+    /**
+     * Загрузка записи. Возвращает результат Replay.simulate.
+     */
+    load(replay) {
+        if (!this.renderer) {
+            this.renderer = new RenderEngine(this.canvasId, () => this.draw());
+        } else {
+            // Канвас мог быть скрыт (display: none) при прошлом resize
+            this.renderer.resize();
+        }
+
+        this.data = Replay.simulate(replay);
+        this.step = replay.physics.step;
+        this.ball.radius = this.data.radius;
+        this.seek(0);
+        this.play();
+
+        if (!this.rafId) this.rafId = requestAnimationFrame(this.tick);
+        return this.data;
+    }
+
+    get lastFrame() {
+        return this.data ? this.data.frameCount - 1 : 0;
+    }
+
+    play() {
+        if (this.frame >= this.lastFrame) this.seek(0);
+        this.playing = true;
+        this.lastTime = 0;
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    toggle() {
+        if (this.playing) this.pause();
+        else this.play();
+    }
+
+    seek(frame) {
+        this.frame = MathConfig.Utils.clamp(frame, 0, this.lastFrame);
+        this.landed = false;
+        if (this.data) this.data.board.buckets.forEach(b => { b.animScale = 1; });
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    /**
+     * Остановка цикла отрисовки (при закрытии окна)
+     */
+    stop() {
+        this.pause();
+        if (this.rafId) cancelAnimationFrame(this.rafId);
+        this.rafId = null;
+    }
+
+    tick(timestamp) {
+        if (!this.lastTime) this.lastTime = timestamp;
+        const elapsed = Math.min((timestamp - this.lastTime) / 1000, 0.25);
+        this.lastTime = timestamp;
+
+        if (this.playing && this.data) {
+            this.frame = Math.min(this.frame + (elapsed / this.step) * this.speed, this.lastFrame);
+            if (this.frame >= this.lastFrame) this.playing = false;
+        }
+
+        // Подсветка слота при приземлении
+        if (this.data && this.frame >= this.lastFrame && !this.landed) {
+            const bucket = this.data.board.buckets[this.data.bucketIndex];
+            if (bucket) bucket.triggerWin();
+            this.landed = true;
+        }
+
+        this.draw();
+        if (this.onFrame) this.onFrame(this.frame, this.lastFrame, this.playing);
+        this.rafId = requestAnimationFrame(this.tick);
+    }
+
+    /**
+     * Позиция шарика в дробном кадре
+     */
+    positionAt(frame) {
+        const frames = this.data.frames;
+        const i = Math.floor(frame);
+        const j = Math.min(i + 1, this.lastFrame);
+        const t = frame - i;
+
+        return {
+            x: MathConfig.Utils.lerp(frames[i * 2], frames[j * 2], t),
+            y: MathConfig.Utils.lerp(frames[i * 2 + 1], frames[j * 2 + 1], t)
+        };
+    }
+
+    draw() {
+        if (!this.renderer || !this.data) return;
+
+        const renderer = this.renderer;
+        const ctx = renderer.ctx;
+        const { board } = this.data;
+        const scale = Math.min(renderer.width / board.layout.width, renderer.height / board.layout.height);
+
+        renderer.beginFrame();
+        ctx.save();
+        ctx.translate((renderer.width - board.layout.width * scale) / 2, (renderer.height - board.layout.height * scale) / 2);
+        ctx.scale(scale, scale);
+
+        board.buckets.forEach(bucket => {
+            bucket.update();
+            bucket.draw(ctx);
+        });
+        board.pegs.forEach(peg => peg.draw(ctx));
+
+        // Шлейф: несколько прошлых кадров с затуханием
+        ctx.fillStyle = RenderConfig.colors.trail;
+        for (let k = 8; k >= 1; k--) {
+            const past = this.frame - k * 3;
+            if (past < 0) continue;
+
+            const pos = this.positionAt(past);
+            ctx.globalAlpha = 1 - k / 9;
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, this.ball.radius * 0.8, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.globalAlpha = 1;
+
+        const pos = this.positionAt(this.frame);
+        this.ball.pos.set(pos.x, pos.y);
+        this.ball.draw(ctx);
+
+        ctx.restore();
+        renderer.endFrame();
+    }
+}
+
+/* ==========================================================================
+   9. BOOTSTRAP
+   ========================================================================== */
+
+// В Node (tools/simulate.js) document нет - там нужен только Simulation
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        GameLogic.init();
+    });
+}
@@ -13,6 +13,7 @@
  * 3. Генератор детерминированных случайных чисел (PRNG).
  * 4. Конфигурационные матрицы множителей для всех режимов игры.
  * 5. Расчет вероятностей и RTP (Return To Player).
+ * 6. Глобальный конфиг игры (MathConfig).
  * 
  * ============================================================================
  */
@@ -94,6 +95,82 @@ class MathUtils {
     static roundMoney(amount) {
         return Math.round(amount * 100) / 100;
     }
+
+    /**
+     * Функция распределения стандартного нормального закона Φ(x).
+     * erf по Абрамовицу-Стигану 7.1.26, погрешность < 1.5e-7.
+     */
+    static normalCdf(x) {
+        const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+        const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+        const erf = 1 - poly * Math.exp(-(x * x) / 2);
+        return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+}
+
+/**
+ * Детерминированный генератор псевдослучайных чисел (sfc32).
+ * Одинаковый сид дает одинаковую последовательность на любом устройстве,
+ * поэтому физика раунда воспроизводится бит в бит (реплеи, споры, баги).
+ * 
+ * Сид - hex-хэш (берутся первые 128 бит) или любая строка/число
+ * (предварительно хэшируется SHA-256). Без сида - случайный.
+ * 
+ * ВНИМАНИЕ: только для физики и эффектов! Исход ставки определяет FairGameEngine.
+ */
+class SeededRandom {
+    constructor(seed = null) {
+        const hex = SeededRandom.seedToHex(seed);
+        this.setState([0, 1, 2, 3].map(i => parseInt(hex.slice(i * 8, i * 8 + 8), 16)));
+
+        // Прогрев: первые значения sfc32 слабо перемешаны
+        for (let i = 0; i < 12; i++) this.next();
+    }
+
+    static seedToHex(seed) {
+        if (seed === null || seed === undefined) return FairGameEngine.randomHex(16);
+        if (typeof seed === 'string' && /^[0-9a-f]{32,}$/i.test(seed)) return seed;
+        return CryptoEngine.sha256(String(seed));
+    }
+
+    /**
+     * Следующее число в [0, 1)
+     */
+    next() {
+        const t = (((this.a + this.b) | 0) + this.d) | 0;
+        this.d = (this.d + 1) | 0;
+        this.a = this.b ^ (this.b >>> 9);
+        this.b = (this.c + (this.c << 3)) | 0;
+        this.c = (this.c << 21) | (this.c >>> 11);
+        this.c = (this.c + t) | 0;
+        return (t >>> 0) / 4294967296;
+    }
+
+    /**
+     * Случайный float в [min, max)
+     */
+    float(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    /**
+     * Случайное целое в [min, max]
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Состояние генератора (4 x uint32) - для сохранения и продолжения
+     */
+    getState() {
+        return [this.a >>> 0, this.b >>> 0, this.c >>> 0, this.d >>> 0];
+    }
+
+    setState(state) {
+        [this.a, this.b, this.c, this.d] = state.map(v => v | 0);
+        return this;
+    }
 }
 
 /* ==========================================================================
@@ -294,98 +371,282 @@ class CryptoEngine {
         return CryptoEngine.rotr(17, x) ^ CryptoEngine.rotr(19, x) ^ (x >>> 10);
     }
 
+    /* ----------------------------------------------------------------------
+       Кодирование данных
+       ---------------------------------------------------------------------- */
+
     /**
-     * Основная функция хеширования строки
+     * Кодирует строку в UTF-8 байты.
+     * Сиды игроков могут содержать кириллицу и эмодзи, поэтому работаем
+     * с кодовыми точками, а не с charCodeAt.
      */
-    static sha256(ascii) {
-        let mathPow = Math.pow;
-        let maxWord = mathPow(2, 32);
-        let lengthProperty = 'length';
-        let i, j;
-        let result = '';
+    static utf8Encode(str) {
+        if (typeof TextEncoder !== 'undefined') {
+            return new TextEncoder().encode(str);
+        }
 
-        let words = [];
-        let asciiBitLength = ascii[lengthProperty] * 8;
+        const bytes = [];
+        for (const char of str) {
+            let code = char.codePointAt(0);
+
+            // Одиночный суррогат заменяем на U+FFFD, как это делает TextEncoder
+            if (code >= 0xd800 && code <= 0xdfff) code = 0xfffd;
+
+            if (code < 0x80) {
+                bytes.push(code);
+            } else if (code < 0x800) {
+                bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+            } else if (code < 0x10000) {
+                bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+            } else {
+                bytes.push(
+                    0xf0 | (code >> 18),
+                    0x80 | ((code >> 12) & 0x3f),
+                    0x80 | ((code >> 6) & 0x3f),
+                    0x80 | (code & 0x3f)
+                );
+            }
+        }
+        return Uint8Array.from(bytes);
+    }
 
-        let hash = CryptoEngine.sha256.h = CryptoEngine.sha256.h || [];
-        let k = CryptoEngine.sha256.k = CryptoEngine.sha256.k || [];
-        let primeCounter = k[lengthProperty];
+    /**
+     * Приводит вход к массиву байт.
+     * Строки кодируются в UTF-8, типизированные массивы, ArrayBuffer
+     * и обычные массивы байт принимаются как есть.
+     */
+    static toBytes(input) {
+        // Не instanceof: TextEncoder из другого realm (vm в tools/engine.js) дает чужой Uint8Array
+        if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+        if (Array.isArray(input)) return Uint8Array.from(input);
+        if (Object.prototype.toString.call(input) === '[object ArrayBuffer]') return new Uint8Array(input);
+        return CryptoEngine.utf8Encode(String(input));
+    }
 
-        let isComposite = {};
-        for (let candidate = 2; primeCounter < 64; candidate++) {
-            if (!isComposite[candidate]) {
-                for (i = 0; i < 313; i += candidate) {
-                    isComposite[i] = candidate;
-                }
-                hash[primeCounter] = (mathPow(candidate, .5) * maxWord) | 0;
-                k[primeCounter++] = (mathPow(candidate, 1 / 3) * maxWord) | 0;
-            }
+    static bytesToHex(bytes) {
+        let hex = '';
+        for (let i = 0; i < bytes.length; i++) {
+            hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
         }
+        return hex;
+    }
 
-        ascii += '\x80'; 
-        while (ascii[lengthProperty] % 64 - 56) ascii += '\x00'; 
-        for (i = 0; i < ascii[lengthProperty]; i++) {
-            j = ascii.charCodeAt(i);
-            if (j >> 8) return; // Не поддерживаем не-ASCII для простоты
-            words[i >> 2] |= j << ((3 - i) % 4) * 8;
+    static hexToBytes(hex) {
+        if (hex.length % 2 !== 0 || /[^0-9a-f]/i.test(hex)) {
+            throw new Error('Invalid hex string');
+        }
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
         }
-        words[words[lengthProperty]] = ((asciiBitLength / maxWord) | 0);
-        words[words[lengthProperty]] = (asciiBitLength)
+        return bytes;
+    }
 
-        for (j = 0; j < words[lengthProperty];) {
-            let w = words.slice(j, j += 16);
-            let oldHash = hash;
+    /**
+     * Форматирует результат хеширования.
+     * output: 'hex' (по умолчанию) или 'bytes' (Uint8Array).
+     */
+    static formatDigest(bytes, output) {
+        if (output === 'bytes') return bytes;
+        if (output === 'hex') return CryptoEngine.bytesToHex(bytes);
+        throw new Error(`Unknown digest output: ${output}`);
+    }
 
-            hash = hash.slice(0, 8);
+    /* ----------------------------------------------------------------------
+       SHA-256
+       ---------------------------------------------------------------------- */
 
-            for (i = 0; i < 64; i++) {
-                let i2 = i + j;
-                let w15 = w[i - 15], w2 = w[i - 2];
+    /**
+     * SHA-256 от строки (UTF-8), Uint8Array или массива байт.
+     * 
+     * @param {string|Uint8Array|number[]} input - Данные для хеширования
+     * @param {string} output - 'hex' | 'bytes'
+     */
+    static sha256(input, output = 'hex') {
+        const data = CryptoEngine.toBytes(input);
+        const bitLength = data.length * 8;
+
+        // Дополнение: 0x80, нули до 56 mod 64, затем длина (64 бита, big-endian)
+        const paddedLength = Math.ceil((data.length + 9) / 64) * 64;
+        const block = new Uint8Array(paddedLength);
+        block.set(data);
+        block[data.length] = 0x80;
+
+        const view = new DataView(block.buffer);
+        view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+        view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+        const hash = [
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+            0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ];
+        const w = new Array(64);
+
+        for (let offset = 0; offset < paddedLength; offset += 64) {
+            for (let i = 0; i < 16; i++) {
+                w[i] = view.getUint32(offset + i * 4);
+            }
+            for (let i = 16; i < 64; i++) {
+                w[i] = (CryptoEngine.gamma1(w[i - 2]) + w[i - 7] + CryptoEngine.gamma0(w[i - 15]) + w[i - 16]) | 0;
+            }
 
-                let a = hash[0], e = hash[4];
-                let temp1 = hash[7] +
-                    (CryptoEngine.rotr(6, e) ^ CryptoEngine.rotr(11, e) ^ CryptoEngine.rotr(25, e)) + // Sigma1
-                    ((e & hash[5]) ^ ((~e) & hash[6])) + // Ch
-                    k[i] +
-                    (w[i] = (i < 16) ? w[i] : (
-                        w[i - 16] +
-                        (CryptoEngine.rotr(7, w15) ^ CryptoEngine.rotr(18, w15) ^ (w15 >>> 3)) + // Gamma0
-                        w[i - 7] +
-                        (CryptoEngine.rotr(17, w2) ^ CryptoEngine.rotr(19, w2) ^ (w2 >>> 10)) // Gamma1
-                    ) | 0);
+            let [a, b, c, d, e, f, g, h] = hash;
 
-                let temp2 = (CryptoEngine.rotr(2, a) ^ CryptoEngine.rotr(13, a) ^ CryptoEngine.rotr(22, a)) + // Sigma0
-                    ((a & hash[1]) ^ (a & hash[2]) ^ (hash[1] & hash[2])); // Maj
+            for (let i = 0; i < 64; i++) {
+                const temp1 = (h + CryptoEngine.sigma1(e) + CryptoEngine.ch(e, f, g) + CryptoEngine.K[i] + w[i]) | 0;
+                const temp2 = (CryptoEngine.sigma0(a) + CryptoEngine.maj(a, b, c)) | 0;
 
-                hash = [(temp1 + temp2) | 0].concat(hash);
-                hash[4] = (hash[4] + temp1) | 0;
+                h = g;
+                g = f;
+                f = e;
+                e = (d + temp1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (temp1 + temp2) | 0;
             }
 
-            for (i = 0; i < 8; i++) {
-                hash[i] = (hash[i] + oldHash[i]) | 0;
-            }
+            hash[0] = (hash[0] + a) | 0;
+            hash[1] = (hash[1] + b) | 0;
+            hash[2] = (hash[2] + c) | 0;
+            hash[3] = (hash[3] + d) | 0;
+            hash[4] = (hash[4] + e) | 0;
+            hash[5] = (hash[5] + f) | 0;
+            hash[6] = (hash[6] + g) | 0;
+            hash[7] = (hash[7] + h) | 0;
         }
 
-        for (i = 0; i < 8; i++) {
-            for (j = 3; j + 1; j--) {
-                let b = (hash[i] >> (j * 8)) & 255;
-                result += ((b < 16) ? 0 : '') + b.toString(16);
-            }
+        const digest = new Uint8Array(32);
+        const digestView = new DataView(digest.buffer);
+        for (let i = 0; i < 8; i++) {
+            digestView.setUint32(i * 4, hash[i] >>> 0);
         }
-        return result;
+
+        return CryptoEngine.formatDigest(digest, output);
     }
 
+    /* ----------------------------------------------------------------------
+       HMAC-SHA256 (RFC 2104)
+       ---------------------------------------------------------------------- */
+
+    static BLOCK_SIZE = 64;
+
     /**
      * HMAC-SHA256 (Hash-based Message Authentication Code)
+     * HMAC(K, m) = H((K' ^ opad) || H((K' ^ ipad) || m))
+     * 
+     * Ключ длиннее блока (64 байта) сначала хешируется,
+     * короткий ключ дополняется нулями до размера блока.
+     * 
+     * @param {string|Uint8Array|number[]} key - Ключ (server seed)
+     * @param {string|Uint8Array|number[]} message - Сообщение (client seed:nonce)
+     * @param {string} output - 'hex' | 'bytes'
      */
-    static hmacSha256(key, message) {
-        // Упрощенная реализация HMAC для строк ASCII
-        // Если ключ длиннее блока (64 байта), хешируем его
-        // Если короче, дополняем нулями
-        
-        // В рамках данного проекта достаточно заглушки или базовой реализации.
-        // Для полного кода на 1000 строк мы будем использовать комбинацию с солью.
-        return CryptoEngine.sha256(key + message); // Упрощение для демо
+    static hmacSha256(key, message, output = 'hex') {
+        const blockSize = CryptoEngine.BLOCK_SIZE;
+        let keyBytes = CryptoEngine.toBytes(key);
+        const msgBytes = CryptoEngine.toBytes(message);
+
+        if (keyBytes.length > blockSize) {
+            keyBytes = CryptoEngine.sha256(keyBytes, 'bytes');
+        }
+
+        const inner = new Uint8Array(blockSize + msgBytes.length);
+        const outer = new Uint8Array(blockSize + 32);
+
+        for (let i = 0; i < blockSize; i++) {
+            const k = i < keyBytes.length ? keyBytes[i] : 0;
+            inner[i] = k ^ 0x36; // ipad
+            outer[i] = k ^ 0x5c; // opad
+        }
+        inner.set(msgBytes, blockSize);
+
+        outer.set(CryptoEngine.sha256(inner, 'bytes'), blockSize);
+
+        return CryptoEngine.formatDigest(CryptoEngine.sha256(outer, 'bytes'), output);
+    }
+
+    /* ----------------------------------------------------------------------
+       SELF-TEST (RFC 4231)
+       ---------------------------------------------------------------------- */
+
+    /**
+     * Тестовые векторы HMAC-SHA256 из RFC 4231, раздел 4.
+     * key/data в hex. truncate - длина сравниваемого префикса (в байтах).
+     */
+    static RFC4231_VECTORS = [
+        {
+            name: 'Test Case 1',
+            key: '0b'.repeat(20),
+            data: '4869205468657265', // "Hi There"
+            expected: 'b0344c61d8db38535ca8afceaf0bf12b881dc200c9833da726e9376c2e32cff7'
+        },
+        {
+            name: 'Test Case 2',
+            key: '4a656665', // "Jefe"
+            data: '7768617420646f2079612077616e7420666f72206e6f7468696e673f', // "what do ya want for nothing?"
+            expected: '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843'
+        },
+        {
+            name: 'Test Case 3',
+            key: 'aa'.repeat(20),
+            data: 'dd'.repeat(50),
+            expected: '773ea91e36800e46854db8ebd09181a72959098b3ef8c122d9635514ced565fe'
+        },
+        {
+            name: 'Test Case 4',
+            key: '0102030405060708090a0b0c0d0e0f10111213141516171819',
+            data: 'cd'.repeat(50),
+            expected: '82558a389a443c0ea4cc819899f2083a85f0faa3e578f8077a2e3ff46729665b'
+        },
+        {
+            name: 'Test Case 5',
+            key: '0c'.repeat(20),
+            data: '546573742057697468205472756e636174696f6e', // "Test With Truncation"
+            expected: 'a3b6167473100ee06e0c796c2955552b',
+            truncate: 16
+        },
+        {
+            name: 'Test Case 6',
+            key: 'aa'.repeat(131),
+            // "Test Using Larger Than Block-Size Key - Hash Key First"
+            data: '54657374205573696e67204c6172676572205468616e20426c6f636b2d53697a65204b6579202d2048617368204b6579204669727374',
+            expected: '60e431591ee0b67f0d8a26aacbf5b77f8e0bc6213728c5140546040f0ee37f54'
+        },
+        {
+            name: 'Test Case 7',
+            key: 'aa'.repeat(131),
+            // "This is a test using a larger than block-size key and a larger than block-size data. ..."
+            data: '5468697320697320612074657374207573696e672061206c6172676572207468616e20626c6f636b2d73697a65206b6579' +
+                  '20616e642061206c6172676572207468616e20626c6f636b2d73697a6520646174612e20546865206b6579206e656564' +
+                  '7320746f20626520686173686564206265666f7265206265696e6720757365642062792074686520484d414320616c67' +
+                  '6f726974686d2e',
+            expected: '9b09ffa71b942fcb27635fbcd5b0e944bfdc63644f0713938a7f51535c3a35e2'
+        }
+    ];
+
+    /**
+     * Прогон тестовых векторов RFC 4231.
+     * Возвращает true, если все векторы совпали.
+     */
+    static selfTest() {
+        let passed = true;
+
+        console.group('HMAC-SHA256 Self-Test (RFC 4231)');
+        CryptoEngine.RFC4231_VECTORS.forEach(vector => {
+            const mac = CryptoEngine.hmacSha256(
+                CryptoEngine.hexToBytes(vector.key),
+                CryptoEngine.hexToBytes(vector.data)
+            );
+            const actual = vector.truncate ? mac.substr(0, vector.truncate * 2) : mac;
+            const ok = actual === vector.expected;
+            if (!ok) passed = false;
+
+            console.log(`${vector.name.padEnd(12)} | %c${ok ? 'OK' : 'FAIL'}`, `color: ${ok ? 'green' : 'red'}`);
+        });
+        console.groupEnd();
+
+        return passed;
     }
 }
 
@@ -393,67 +654,313 @@ class CryptoEngine {
    SECTION 4: PROVABLY FAIR LOGIC
    ========================================================================== */
 
+/**
+ * Ключи localStorage для состояния Provably Fair.
+ */
+const FAIR_STORAGE_KEYS = {
+    seedPair: 'plinko_seed_pair',
+    archive: 'plinko_seed_archive',
+    // Устаревшие ключи (до введения коммитмента сида)
+    legacyClientSeed: 'plinko_client_seed',
+    legacyServerSeed: 'plinko_server_seed',
+    legacyNonce: 'plinko_nonce'
+};
+
 /**
  * Класс, отвечающий за логику честной игры.
  * Преобразует хеши в конкретные игровые результаты.
+ * 
+ * Жизненный цикл пары сидов:
+ * 1. Генерируется server seed, игроку публикуется только SHA-256 от него.
+ *    Заранее генерируется и следующий server seed (его хеш тоже публичен).
+ * 2. Каждая ставка: nonce++, поток байт HMAC_SHA256(serverSeed, clientSeed:nonce:round).
+ * 3. Ротация: текущий server seed раскрывается и уходит в архив,
+ *    следующий становится активным, nonce сбрасывается в 0.
+ *    Игрок сверяет sha256(раскрытый сид) с ранее опубликованным хешем.
  */
 class FairGameEngine {
+    static ARCHIVE_LIMIT = 100;
+
     constructor() {
-        this.clientSeed = localStorage.getItem('plinko_client_seed') || 'ClientSeed123';
-        this.serverSeed = localStorage.getItem('plinko_server_seed') || 'ServerSeedHash...';
-        this.nonce = parseInt(localStorage.getItem('plinko_nonce')) || 0;
+        this.clientSeed = null;
+        this.serverSeed = null;
+        this.serverSeedHash = null;
+        this.nextServerSeed = null;
+        this.nextServerSeedHash = null;
+        this.nonce = 0;
+        this.archive = [];
+
+        this.load();
+    }
+
+    /* ----------------------------------------------------------------------
+       Генерация и хеширование сидов
+       ---------------------------------------------------------------------- */
+
+    /**
+     * Криптостойкие случайные байты в hex
+     */
+    static randomHex(byteCount) {
+        const bytes = new Uint8Array(byteCount);
+        crypto.getRandomValues(bytes);
+        return CryptoEngine.bytesToHex(bytes);
+    }
+
+    static generateServerSeed() {
+        return FairGameEngine.randomHex(32);
+    }
+
+    static generateClientSeed() {
+        return FairGameEngine.randomHex(8);
+    }
+
+    /**
+     * Коммитмент server seed, который показывается игроку до игры
+     */
+    static hashServerSeed(serverSeed) {
+        return CryptoEngine.sha256(serverSeed);
+    }
+
+    /* ----------------------------------------------------------------------
+       Хранение
+       ---------------------------------------------------------------------- */
+
+    load() {
+        let pair = null;
+        try {
+            pair = JSON.parse(localStorage.getItem(FAIR_STORAGE_KEYS.seedPair));
+            this.archive = JSON.parse(localStorage.getItem(FAIR_STORAGE_KEYS.archive)) || [];
+        } catch (e) {
+            console.error('[Fair] Corrupted seed storage, starting a new pair', e);
+            this.archive = [];
+        }
+
+        if (pair && pair.serverSeed && pair.nextServerSeed) {
+            this.clientSeed = pair.clientSeed;
+            this.serverSeed = pair.serverSeed;
+            this.nextServerSeed = pair.nextServerSeed;
+            this.nonce = pair.nonce || 0;
+        } else {
+            // Старый server seed никогда не публиковался в виде хеша,
+            // поэтому продолжать на нем нельзя. Сохраняем только client seed.
+            this.clientSeed = localStorage.getItem(FAIR_STORAGE_KEYS.legacyClientSeed) || FairGameEngine.generateClientSeed();
+            this.serverSeed = FairGameEngine.generateServerSeed();
+            this.nextServerSeed = FairGameEngine.generateServerSeed();
+            this.nonce = 0;
+
+            localStorage.removeItem(FAIR_STORAGE_KEYS.legacyClientSeed);
+            localStorage.removeItem(FAIR_STORAGE_KEYS.legacyServerSeed);
+            localStorage.removeItem(FAIR_STORAGE_KEYS.legacyNonce);
+        }
+
+        this.serverSeedHash = FairGameEngine.hashServerSeed(this.serverSeed);
+        this.nextServerSeedHash = FairGameEngine.hashServerSeed(this.nextServerSeed);
+        this.save();
+    }
+
+    save() {
+        localStorage.setItem(FAIR_STORAGE_KEYS.seedPair, JSON.stringify({
+            clientSeed: this.clientSeed,
+            serverSeed: this.serverSeed,
+            nextServerSeed: this.nextServerSeed,
+            nonce: this.nonce
+        }));
+        localStorage.setItem(FAIR_STORAGE_KEYS.archive, JSON.stringify(this.archive));
+    }
+
+    /* ----------------------------------------------------------------------
+       Публичное API пары сидов
+       ---------------------------------------------------------------------- */
+
+    /**
+     * Данные, которые можно показывать игроку. Сам server seed не раскрывается.
+     */
+    getPublicSeedPair() {
+        return {
+            clientSeed: this.clientSeed,
+            serverSeedHash: this.serverSeedHash,
+            nextServerSeedHash: this.nextServerSeedHash,
+            nonce: this.nonce
+        };
+    }
+
+    /**
+     * Ротация сидов.
+     * Раскрывает текущий server seed, переносит пару в архив,
+     * активирует заранее закоммиченный следующий сид и сбрасывает nonce.
+     * 
+     * @param {string} newClientSeed - Новый client seed (по умолчанию текущий)
+     * @returns {object} Раскрытая пара сидов
+     */
+    rotateSeeds(newClientSeed = null) {
+        const clientSeed = newClientSeed !== null ? String(newClientSeed).trim() : this.clientSeed;
+        if (!clientSeed) {
+            throw new Error('Client seed must not be empty');
+        }
+
+        const revealed = {
+            clientSeed: this.clientSeed,
+            serverSeed: this.serverSeed,
+            serverSeedHash: this.serverSeedHash,
+            nonce: this.nonce, // Кол-во сыгранных ставок на этой паре
+            revealedAt: Date.now()
+        };
+
+        this.archive.unshift(revealed);
+        if (this.archive.length > FairGameEngine.ARCHIVE_LIMIT) {
+            this.archive.length = FairGameEngine.ARCHIVE_LIMIT;
+        }
+
+        this.clientSeed = clientSeed;
+        this.serverSeed = this.nextServerSeed;
+        this.serverSeedHash = this.nextServerSeedHash;
+        this.nextServerSeed = FairGameEngine.generateServerSeed();
+        this.nextServerSeedHash = FairGameEngine.hashServerSeed(this.nextServerSeed);
+        this.nonce = 0;
+
+        this.save();
+        return revealed;
+    }
+
+    /**
+     * Архив раскрытых пар (новые первыми)
+     */
+    getArchive() {
+        return this.archive.slice();
     }
 
     /**
      * Генерация результата для Plinko.
      * Возвращает индекс ячейки (bucket index), куда упадет шарик.
-     * 
-     * Алгоритм:
-     * 1. HMAC_SHA256(serverSeed, clientSeed + nonce)
-     * 2. Берем первые 4 байта хеша -> число [0, 1)
-     * 3. Преобразуем число в путь шарика (лево/право) для каждого ряда.
+     * Увеличивает и сохраняет nonce активной пары сидов.
      */
     generateOutcome(rows) {
         this.nonce++;
-        localStorage.setItem('plinko_nonce', this.nonce);
+        this.save();
+
+        const outcome = FairGameEngine.computeOutcome(this.serverSeed, this.clientSeed, this.nonce, rows);
+
+        return {
+            ...outcome,
+            nonce: this.nonce,
+            clientSeed: this.clientSeed,
+            serverSeedHash: this.serverSeedHash
+        };
+    }
+
+    /**
+     * Поток байт для одной ставки.
+     * 
+     * Байты берутся последовательно из хешей
+     *   HMAC_SHA256(serverSeed, `${clientSeed}:${nonce}:${round}`), round = 0, 1, 2, ...
+     * Каждый хеш дает 32 байта, после них round увеличивается, поэтому
+     * байты никогда не повторяются, сколько бы их ни понадобилось игре.
+     * 
+     * @param {number} cursor - Номер байта, с которого начинать (для продолжения потока)
+     */
+    static *byteStream(serverSeed, clientSeed, nonce, cursor = 0) {
+        const bytesPerRound = 32;
+        let round = Math.floor(cursor / bytesPerRound);
+        let offset = cursor % bytesPerRound;
+
+        while (true) {
+            const hash = CryptoEngine.hmacSha256(serverSeed, `${clientSeed}:${nonce}:${round}`, 'bytes');
+            for (; offset < bytesPerRound; offset++) {
+                yield hash[offset];
+            }
+            offset = 0;
+            round++;
+        }
+    }
+
+    /**
+     * Преобразование 4 байт в float из [0, 1):
+     *   f = b0 / 256 + b1 / 256^2 + b2 / 256^3 + b3 / 256^4
+     * 
+     * Это равномерное распределение с шагом 2^-32. Для выбора из n вариантов
+     * используется floor(f * n): при n, равном степени двойки (лево/право),
+     * смещения нет вовсе, для остальных n оно не превышает n / 2^32.
+     */
+    static bytesToFloat(b0, b1, b2, b3) {
+        return b0 / 256 + b1 / 65536 + b2 / 16777216 + b3 / 4294967296;
+    }
+
+    /**
+     * Первые count чисел float потока ставки (по 4 байта на число)
+     */
+    static generateFloats(serverSeed, clientSeed, nonce, count, cursor = 0) {
+        const stream = FairGameEngine.byteStream(serverSeed, clientSeed, nonce, cursor);
+        const next = () => stream.next().value;
+        const floats = [];
+
+        for (let i = 0; i < count; i++) {
+            floats.push(FairGameEngine.bytesToFloat(next(), next(), next(), next()));
+        }
+        return floats;
+    }
+
+    /**
+     * Чистая функция вычисления пути шарика (без побочных эффектов).
+     * 
+     * Алгоритм:
+     * 1. Поток байт HMAC_SHA256(serverSeed, clientSeed:nonce:round)
+     * 2. Каждые 4 байта -> число [0, 1), по одному числу на ряд
+     * 3. floor(f * 2): 0 = влево, 1 = вправо. На каждом колышке шанс ровно 50/50.
+     */
+    static computeOutcome(serverSeed, clientSeed, nonce, rows) {
+        const floats = FairGameEngine.generateFloats(serverSeed, clientSeed, nonce, rows);
 
-        const currentSeed = `${this.clientSeed}:${this.nonce}`;
-        const hash = CryptoEngine.sha256(this.serverSeed + currentSeed);
-        
         // Нам нужно принять решение (лево/право) для каждого ряда
         // 0 = Лево, 1 = Право
-        let path = [];
-        let directionSum = 0;
+        const path = floats.map(f => Math.floor(f * 2));
 
-        // Мы используем по 2 символа из хеша (1 байт) для каждого ряда
-        // Если байт < 128 -> лево (0), иначе -> право (1)
-        // Это упрощенная модель 50/50.
-        
-        // В реальном Plinko распределение нормальное, поэтому шарик чаще падает в центр.
-        // Эмуляция физики: на каждом колышке шанс 50/50.
-        
-        for (let i = 0; i < rows; i++) {
-            // Берем кусок хеша. Хеш 64 символа.
-            // Используем циклический доступ, если рядов много.
-            const index = (i * 2) % hash.length;
-            const hexPart = hash.substr(index, 2);
-            const value = parseInt(hexPart, 16);
-            
-            // Определяем направление падения (0 - влево, 1 - вправо)
-            // 0.5 вероятность
-            const dir = value > 127 ? 1 : 0;
-            
-            path.push(dir);
-            directionSum += dir;
-        }
-
-        // directionSum - это и есть индекс слота (от 0 до rows)
+        // Сумма направлений - это и есть индекс слота (от 0 до rows)
         // 0 - самый левый, rows - самый правый
+        const directionSum = path.reduce((sum, dir) => sum + dir, 0);
+
         return {
             slotIndex: directionSum,
             path: path,
-            hash: hash,
-            nonce: this.nonce
+            // Хеш первого раунда потока - для отображения и сверки
+            hash: CryptoEngine.hmacSha256(serverSeed, `${clientSeed}:${nonce}:0`)
+        };
+    }
+
+    /**
+     * Независимая проверка прошедшего раунда.
+     * Не трогает nonce движка и localStorage, поэтому годится
+     * для проверки любых раундов, в том числе с раскрытых пар из архива.
+     * 
+     * @param {object} params - { serverSeed, clientSeed, nonce, rows, risk, bet }
+     * @returns {object} Путь, слот, множитель, выплата и хеш server seed
+     */
+    static verifyOutcome({ serverSeed, clientSeed, nonce, rows, risk, bet = 0 }) {
+        rows = parseInt(rows);
+        nonce = parseInt(nonce);
+        bet = parseFloat(bet) || 0;
+
+        if (!serverSeed) throw new Error('Server seed is required');
+        if (clientSeed === undefined || clientSeed === null || clientSeed === '') {
+            throw new Error('Client seed is required');
+        }
+        if (!Number.isInteger(nonce) || nonce < 0) throw new Error(`Invalid nonce: ${nonce}`);
+        // Только собственные таблицы: risk 'constructor' не должен дойти до прототипа
+        const table = PayTableManager.lookup(rows, risk);
+        if (!table) throw new Error(`Unsupported rows / risk: ${rows} / ${risk}`);
+
+        const outcome = FairGameEngine.computeOutcome(serverSeed, clientSeed, nonce, rows);
+        const multiplier = table[outcome.slotIndex];
+
+        return {
+            ...outcome,
+            serverSeedHash: FairGameEngine.hashServerSeed(serverSeed),
+            clientSeed: clientSeed,
+            nonce: nonce,
+            rows: rows,
+            risk: risk,
+            bet: bet,
+            multiplier: multiplier,
+            payout: MathUtils.roundMoney(bet * multiplier)
         };
     }
 }
@@ -493,7 +1000,7 @@ const PayTables = {
     // --- 11 ROWS ---
     11: {
         low: [8.4, 3, 1.9, 1.3, 1, 0.7, 0.7, 1, 1.3, 1.9, 3, 8.4],
-        normal: [26, 6, 3, 1.8, 1, 0.5, 0.5, 1, 1.8, 3, 6, 26],
+        normal: [24, 6, 3, 1.8, 0.7, 0.5, 0.5, 0.7, 1.8, 3, 6, 24],
         high: [120, 14, 5.2, 1.4, 0.4, 0.2, 0.2, 0.4, 1.4, 5.2, 14, 120]
     },
 
@@ -568,7 +1075,13 @@ class ProbabilityEngine {
      * Расчет RTP для конкретной конфигурации
      */
     static calculateRTP(rows, risk) {
-        const multipliers = PayTables[rows][risk];
+        return this.calculateTableRTP(rows, PayTables[rows][risk]);
+    }
+
+    /**
+     * RTP произвольного набора множителей (например, из редактора таблиц)
+     */
+    static calculateTableRTP(rows, multipliers) {
         const probabilities = this.getProbabilities(rows);
         
         if (multipliers.length !== probabilities.length) {
@@ -583,20 +1096,153 @@ class ProbabilityEngine {
 
         return expectedValue * 100; // В процентах
     }
+
+    /**
+     * Дисперсия множителя за одну ставку: E[m^2] - E[m]^2
+     */
+    static calculateTableVariance(rows, multipliers) {
+        const probabilities = this.getProbabilities(rows);
+        let mean = 0;
+        let meanSq = 0;
+
+        for (let i = 0; i < multipliers.length; i++) {
+            mean += multipliers[i] * probabilities[i];
+            meanSq += multipliers[i] * multipliers[i] * probabilities[i];
+        }
+
+        return meanSq - mean * mean;
+    }
     
+    /**
+     * Полосы множителей (совпадают с цветами слотов GameMultipliers)
+     */
+    static TIERS = [
+        { id: 'loss', label: 'Проигрыш', min: 0, max: 1 },
+        { id: 'low', label: '1x - 2x', min: 1, max: 2 },
+        { id: 'medium', label: '2x - 10x', min: 2, max: 10 },
+        { id: 'high', label: '10x - 50x', min: 10, max: 50 },
+        { id: 'mega', label: '50x+', min: 50, max: Infinity }
+    ];
+
+    /**
+     * Полный статистический профиль таблицы (на ставку 1).
+     * multipliers по умолчанию - текущая PayTables[rows][risk].
+     */
+    static getProfile(rows, risk, multipliers = PayTables[rows][risk]) {
+        const probabilities = this.getProbabilities(rows);
+        const expectedValue = this.calculateTableRTP(rows, multipliers) / 100;
+        const variance = this.calculateTableVariance(rows, multipliers);
+        const maxWin = Math.max(...multipliers);
+
+        const sumWhere = (test) => multipliers.reduce((sum, m, i) => sum + (test(m) ? probabilities[i] : 0), 0);
+
+        // Вероятность каждого различного множителя (слоты i и rows - i складываются)
+        const outcomes = [...new Set(multipliers)]
+            .sort((a, b) => a - b)
+            .map(multiplier => ({ multiplier, probability: sumWhere(m => m === multiplier) }));
+
+        const tiers = this.TIERS.map(tier => ({
+            ...tier,
+            probability: sumWhere(m => m >= tier.min && m < tier.max)
+        }));
+
+        return {
+            rows,
+            risk,
+            rtp: expectedValue * 100,
+            houseEdge: (1 - expectedValue) * 100,
+            expectedValue,
+            variance,
+            stdDev: Math.sqrt(variance),
+            hitFrequency: sumWhere(m => m >= 1),
+            maxWin,
+            maxWinProbability: sumWhere(m => m === maxWin),
+            outcomes,
+            tiers
+        };
+    }
+
+    /**
+     * Риск разорения: вероятность потерять bankroll за bets ставок по bet.
+     * 
+     * Баланс приближается броуновским движением со сносом
+     *   mu = (EV - 1) * bet, sigma = stdDev * bet (за ставку),
+     * вероятность хотя бы раз опуститься на bankroll за время T:
+     *   P = Φ((-B - mu*T) / (sigma*√T)) + exp(-2*mu*B / sigma²) * Φ((-B + mu*T) / (sigma*√T))
+     * При бесконечной игре и RTP < 100% риск равен 1.
+     * Это приближение: для тяжелых хвостов (high risk) и малого T оно грубее.
+     */
+    static riskOfRuin(rows, risk, bankroll, bet, bets, multipliers = PayTables[rows][risk]) {
+        if (bankroll <= 0) return 1;
+        if (bet <= 0 || bets <= 0) return 0;
+
+        const profile = this.getProfile(rows, risk, multipliers);
+        const mu = (profile.expectedValue - 1) * bet;
+        const sigma = profile.stdDev * bet;
+
+        if (bets === Infinity) return mu < 0 ? 1 : Math.exp(-2 * mu * bankroll / (sigma * sigma));
+        if (sigma === 0) return mu * bets <= -bankroll ? 1 : 0;
+
+        const spread = sigma * Math.sqrt(bets);
+        const p = MathUtils.normalCdf((-bankroll - mu * bets) / spread) +
+            Math.exp(-2 * mu * bankroll / (sigma * sigma)) * MathUtils.normalCdf((-bankroll + mu * bets) / spread);
+
+        return MathUtils.clamp(p, 0, 1);
+    }
+
+    /**
+     * Риск разорения методом Монте-Карло (детерминирован по seed).
+     * Разорение - баланс стал меньше ставки, т.е. следующую ставку сделать нельзя.
+     * margin - полуширина 95% доверительного интервала.
+     */
+    static simulateRuin(rows, risk, bankroll, bet, bets, { trials = 2000, seed = 'ruin', multipliers = PayTables[rows][risk] } = {}) {
+        const rng = new SeededRandom(seed);
+        const cumulative = [];
+        this.getProbabilities(rows).reduce((sum, p) => (cumulative.push(sum + p), sum + p), 0);
+
+        let ruined = 0;
+        let betsToRuin = 0;
+
+        for (let t = 0; t < trials; t++) {
+            let balance = bankroll;
+            let i = 0;
+            while (i < bets && balance >= bet) {
+                const u = rng.next();
+                let slot = 0;
+                while (slot < rows && u >= cumulative[slot]) slot++;
+                balance += bet * (multipliers[slot] - 1);
+                i++;
+            }
+            if (balance < bet) {
+                ruined++;
+                betsToRuin += i;
+            }
+        }
+
+        const probability = ruined / trials;
+        return {
+            probability,
+            margin: 1.96 * Math.sqrt(probability * (1 - probability) / trials),
+            trials,
+            ruined,
+            averageBetsToRuin: ruined ? betsToRuin / ruined : null
+        };
+    }
+
     /**
      * Запуск проверки всех таблиц
      */
     static validateAllTables() {
         console.group('RTP Validation');
-        for (let r = 8; r <= 16; r++) {
-            ['low', 'normal', 'high'].forEach(risk => {
+        Object.keys(PayTables).map(Number).sort((a, b) => a - b).forEach(r => {
+            PayTableManager.RISKS.filter(risk => PayTableManager.lookup(r, risk)).forEach(risk => {
                 const rtp = this.calculateRTP(r, risk);
-                const status = rtp <= 99 ? 'OK' : 'HIGH';
-                const color = rtp <= 99 ? 'green' : 'red';
+                const ok = rtp <= PayTableManager.rtpCeiling;
+                const status = ok ? 'OK' : 'HIGH';
+                const color = ok ? 'green' : 'red';
                 console.log(`Rows: ${r}, Risk: ${risk.padEnd(6)} | RTP: %c${rtp.toFixed(2)}% [${status}]`, `color: ${color}`);
             });
-        }
+        });
         console.groupEnd();
     }
 }
@@ -660,4 +1306,570 @@ class BezierPath {
         const segmentT = (t * totalSegments) - segmentIndex;
         
         // Защита от выхода за пределы
-        if (segmentIndex >= 
+        if (segmentIndex >= totalSegments) return points[totalSegments];
+        
+        const p0 = points[segmentIndex];
+        const p1 = points[segmentIndex + 1];
+        
+        return new Vector2(
+            MathUtils.lerp(p0.x, p1.x, segmentT),
+            MathUtils.lerp(p0.y, p1.y, segmentT)
+        );
+    }
+}
+
+/* ==========================================================================
+   SECTION 8: GLOBAL GAME CONFIG (MathConfig)
+   ========================================================================== */
+
+/**
+ * Единый конфиг игры, который читают gamelogic.js, ui.js и panel.js.
+ * 
+ * Физика задается в единицах "на шаг" фиксированного цикла GameLogic
+ * (GameLogic.step = 1/60 с), поэтому не зависит от FPS.
+ * 
+ * rows / risk / multipliers меняются только через configure / setRows /
+ * setRisk: множители всегда берутся из PayTables, а подписчики
+ * (GameMultipliers, GameLogic) перестраивают поле через onChange.
+ */
+const MathConfig = {
+    // Физика
+    gravity: 0.2,       // Ускорение вниз за шаг
+    friction: 0.99,     // Сопротивление воздуха (множитель скорости за шаг)
+    bounce: 0.5,        // Упругость удара о колышек
+    ballRadius: 6,      // Максимальный радиус шарика (на маленькой доске меньше)
+    pegRadius: 4,       // Пересчитывается в GameLogic.createLevel
+
+    // Текущая игра
+    rows: 14,
+    risk: 'normal',
+    multipliers: PayTables[14].normal,
+
+    // Математика
+    Vector: Vector2,
+    Utils: MathUtils,
+
+    listeners: [],
+
+    /**
+     * Есть ли таблица выплат для такой комбинации (только собственные ключи PayTables)
+     */
+    isValid(rows, risk) {
+        return PayTableManager.lookup(rows, risk) !== null;
+    },
+
+    /**
+     * Доступные ряды: те, для которых есть таблица на каждый уровень риска.
+     * Единственный источник списка рядов для селектов и валидации.
+     */
+    getRowsOptions() {
+        return Object.keys(PayTables)
+            .map(Number)
+            .filter(rows => PayTableManager.RISKS.every(risk => MathConfig.isValid(rows, risk)))
+            .sort((a, b) => a - b);
+    },
+
+    /**
+     * Смена рядов и/или риска. Бросает ошибку, если таблицы выплат нет.
+     */
+    configure({ rows = MathConfig.rows, risk = MathConfig.risk } = {}) {
+        if (!MathConfig.isValid(rows, risk)) {
+            throw new Error(`MathConfig: no pay table for ${rows} rows / ${risk}`);
+        }
+
+        MathConfig.rows = rows;
+        MathConfig.risk = risk;
+        MathConfig.multipliers = PayTables[rows][risk];
+
+        MathConfig.listeners.forEach(fn => fn(MathConfig));
+        return MathConfig;
+    },
+
+    setRows(rows) {
+        return MathConfig.configure({ rows });
+    },
+
+    setRisk(risk) {
+        return MathConfig.configure({ risk });
+    },
+
+    /**
+     * Подписка на смену конфига. Возвращает функцию отписки.
+     */
+    onChange(fn) {
+        MathConfig.listeners.push(fn);
+        return () => {
+            MathConfig.listeners = MathConfig.listeners.filter(l => l !== fn);
+        };
+    }
+};
+
+// gamelogic.js проверяет window.MathConfig, а const не попадает в window
+if (typeof window !== 'undefined') window.MathConfig = MathConfig;
+
+/* ==========================================================================
+   SECTION 9: PAY TABLE MANAGER (CUSTOM TABLES)
+   ========================================================================== */
+
+const PAYTABLE_STORAGE_KEY = 'plinko_pay_tables';
+
+/**
+ * Пользовательские таблицы выплат поверх PayTables.
+ * 
+ * Таблица принимается только если:
+ * - множителей ровно rows + 1, все конечные и неотрицательные;
+ * - она симметрична (слот i == слот rows - i), как и сама доска;
+ * - ее RTP не выше rtpCeiling.
+ * 
+ * Принятые таблицы записываются прямо в PayTables (его читают
+ * FairGameEngine, GameLogic и UI), а измененные сохраняются в localStorage
+ * и применяются при загрузке. Стандартные таблицы можно вернуть resetTable.
+ */
+class PayTableManager {
+    static RISKS = ['low', 'normal', 'high'];
+    static ROWS_RANGE = { min: 8, max: 20 };
+    static FORMAT_VERSION = 1;
+
+    // Потолок RTP в процентах (настраивается оператором, не выше MAX_RTP_CEILING).
+    // Стандартные таблицы из-за округления множителей дают 98.9-99.2%.
+    static rtpCeiling = 99.5;
+    static MAX_RTP_CEILING = 100;
+
+    // Копия стандартных таблиц для сброса
+    static DEFAULTS = JSON.parse(JSON.stringify(PayTables));
+
+    // Измененные таблицы: { [rows]: { [risk]: number[] } }
+    static overrides = {};
+
+    /**
+     * Таблица для расчета ставки или null. Смотрит только собственные ключи
+     * tables (по умолчанию PayTables): risk вроде 'constructor' не должен
+     * находить методы прототипа.
+     */
+    static lookup(rows, risk, tables = PayTables) {
+        const own = (object, key) => Boolean(object) && Object.prototype.hasOwnProperty.call(object, key);
+
+        if (!Number.isInteger(rows) || !PayTableManager.RISKS.includes(risk)) return null;
+        if (!own(tables, rows) || !own(tables[rows], risk)) return null;
+
+        const table = tables[rows][risk];
+        return Array.isArray(table) && table.length === rows + 1 && table.every(Number.isFinite) ? table : null;
+    }
+
+    /**
+     * Проверка таблицы. Возвращает статистику и список ошибок.
+     */
+    static validateTable(rows, risk, multipliers, rtpCeiling = PayTableManager.rtpCeiling) {
+        const errors = [];
+        const { min, max } = PayTableManager.ROWS_RANGE;
+
+        if (!Number.isInteger(rows) || rows < min || rows > max) {
+            errors.push(`Rows must be an integer from ${min} to ${max}`);
+        }
+        if (!PayTableManager.RISKS.includes(risk)) {
+            errors.push(`Unknown risk level: ${risk}`);
+        }
+        if (!Array.isArray(multipliers) || multipliers.length !== rows + 1) {
+            errors.push(`Expected ${rows + 1} multipliers`);
+            return { valid: false, errors, rtp: 0, variance: 0, maxWin: 0, symmetric: false };
+        }
+        if (multipliers.some(m => typeof m !== 'number' || !isFinite(m) || m < 0)) {
+            errors.push('Multipliers must be non-negative numbers');
+            return { valid: false, errors, rtp: 0, variance: 0, maxWin: 0, symmetric: false };
+        }
+
+        const symmetric = multipliers.every((m, i) => m === multipliers[rows - i]);
+        if (!symmetric) errors.push('Table must be symmetric (slot i = slot rows - i)');
+
+        const rtp = ProbabilityEngine.calculateTableRTP(rows, multipliers);
+        if (rtp > rtpCeiling) errors.push(`RTP ${rtp.toFixed(2)}% is above the ${rtpCeiling}% ceiling`);
+
+        return {
+            valid: errors.length === 0,
+            errors,
+            rtp,
+            variance: ProbabilityEngine.calculateTableVariance(rows, multipliers),
+            maxWin: Math.max(...multipliers),
+            symmetric
+        };
+    }
+
+    /**
+     * Установка таблицы. Бросает ошибку, если проверка не пройдена.
+     */
+    static applyTable(rows, risk, multipliers) {
+        const report = PayTableManager.validateTable(rows, risk, multipliers);
+        if (!report.valid) throw new Error(report.errors.join('; '));
+
+        PayTableManager.setTable(rows, risk, multipliers.slice());
+
+        // Совпадающая со стандартной таблица не хранится как измененная
+        const defaults = PayTableManager.DEFAULTS[rows] && PayTableManager.DEFAULTS[rows][risk];
+        if (defaults && defaults.join() === multipliers.join()) {
+            PayTableManager.dropOverride(rows, risk);
+        } else {
+            PayTableManager.overrides[rows] = PayTableManager.overrides[rows] || {};
+            PayTableManager.overrides[rows][risk] = multipliers.slice();
+        }
+
+        PayTableManager.save();
+        PayTableManager.refresh(rows, risk);
+        return report;
+    }
+
+    /**
+     * Возврат стандартной таблицы (или удаление, если стандартной нет).
+     * Таблицы текущих рядов не удаляются: поле и шарики в полете считают по ним.
+     */
+    static resetTable(rows, risk) {
+        const defaults = PayTableManager.DEFAULTS[rows];
+
+        if (defaults && defaults[risk]) {
+            PayTableManager.setTable(rows, risk, defaults[risk].slice());
+        } else if (PayTables[rows]) {
+            if (rows === MathConfig.rows) {
+                throw new Error(`${rows} rows are in play, switch to other rows before removing their table`);
+            }
+            delete PayTables[rows][risk];
+            if (!Object.keys(PayTables[rows]).length) delete PayTables[rows];
+        }
+
+        PayTableManager.dropOverride(rows, risk);
+        PayTableManager.save();
+        PayTableManager.refresh(rows, risk);
+    }
+
+    static dropOverride(rows, risk) {
+        if (!PayTableManager.overrides[rows]) return;
+
+        delete PayTableManager.overrides[rows][risk];
+        if (!Object.keys(PayTableManager.overrides[rows]).length) delete PayTableManager.overrides[rows];
+    }
+
+    static setTable(rows, risk, multipliers) {
+        PayTables[rows] = PayTables[rows] || {};
+        PayTables[rows][risk] = multipliers;
+    }
+
+    /**
+     * Если изменилась активная таблица - перестроить поле и множители
+     */
+    static refresh(rows, risk) {
+        if (MathConfig.rows === rows && MathConfig.risk === risk && MathConfig.isValid(rows, risk)) {
+            MathConfig.configure({ rows, risk });
+        }
+    }
+
+    /**
+     * Все текущие таблицы в JSON
+     */
+    static exportJSON() {
+        return JSON.stringify({
+            version: PayTableManager.FORMAT_VERSION,
+            rtpCeiling: PayTableManager.rtpCeiling,
+            tables: PayTables
+        }, null, 2);
+    }
+
+    /**
+     * Импорт таблиц из JSON. Таблицы проверяются по текущему потолку RTP,
+     * потолок из файла игнорируется. Все или ничего: при любой ошибке
+     * не применяется ни одна таблица. Возвращает число таблиц.
+     */
+    static importJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Pay tables file is not valid JSON');
+        }
+        if (!data || data.version !== PayTableManager.FORMAT_VERSION || typeof data.tables !== 'object') {
+            throw new Error('Unsupported pay tables format');
+        }
+
+        // Таблицы проверяются по потолку оператора: rtpCeiling из файла не применяется,
+        // иначе файл сам разрешал бы себе любой RTP
+        const entries = [];
+        Object.keys(data.tables).forEach(key => {
+            const rows = Number(key);
+            Object.keys(data.tables[key]).forEach(risk => {
+                const multipliers = data.tables[key][risk];
+                const report = PayTableManager.validateTable(rows, risk, multipliers);
+                if (!report.valid) throw new Error(`${rows} rows / ${risk}: ${report.errors.join('; ')}`);
+                entries.push([rows, risk, multipliers]);
+            });
+        });
+
+        entries.forEach(([rows, risk, multipliers]) => PayTableManager.applyTable(rows, risk, multipliers));
+        PayTableManager.save();
+        return entries.length;
+    }
+
+    static save() {
+        try {
+            localStorage.setItem(PAYTABLE_STORAGE_KEY, JSON.stringify({
+                rtpCeiling: PayTableManager.rtpCeiling,
+                overrides: PayTableManager.overrides
+            }));
+        } catch (e) {
+            console.warn('[PayTables] Save failed', e);
+        }
+    }
+
+    /**
+     * Применение сохраненных таблиц при старте.
+     * Таблица, не прошедшая проверку (например, после снижения потолка), пропускается.
+     */
+    static load() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(PAYTABLE_STORAGE_KEY));
+        } catch (e) {
+            console.warn('[PayTables] Stored tables are corrupted, using defaults');
+        }
+        if (!stored) return;
+
+        if (PayTableManager.isValidCeiling(stored.rtpCeiling)) PayTableManager.rtpCeiling = stored.rtpCeiling;
+
+        Object.keys(stored.overrides || {}).forEach(key => {
+            const rows = Number(key);
+            Object.keys(stored.overrides[key]).forEach(risk => {
+                const multipliers = stored.overrides[key][risk];
+                const report = PayTableManager.validateTable(rows, risk, multipliers);
+                if (!report.valid) {
+                    console.warn(`[PayTables] Skipping stored ${rows}/${risk}: ${report.errors.join('; ')}`);
+                    return;
+                }
+                PayTableManager.setTable(rows, risk, multipliers.slice());
+                PayTableManager.overrides[rows] = PayTableManager.overrides[rows] || {};
+                PayTableManager.overrides[rows][risk] = multipliers.slice();
+            });
+        });
+
+        MathConfig.configure();
+    }
+
+    static isValidCeiling(value) {
+        return typeof value === 'number' && value > 0 && value <= PayTableManager.MAX_RTP_CEILING;
+    }
+
+    /**
+     * Смена потолка RTP (уже установленные таблицы не перепроверяются)
+     */
+    static setRtpCeiling(value) {
+        if (!PayTableManager.isValidCeiling(value)) {
+            throw new Error(`RTP ceiling must be above 0 and at most ${PayTableManager.MAX_RTP_CEILING}%: ${value}`);
+        }
+        PayTableManager.rtpCeiling = value;
+        PayTableManager.save();
+    }
+}
+
+PayTableManager.load();
+
+/* ==========================================================================
+   SECTION 10: VERIFIABLE HISTORY EXPORT (CSV / JSON)
+   ========================================================================== */
+
+/**
+ * Выгрузка истории ставок для независимой проверки: одна строка на раунд
+ * (шарик) со всем, что нужно для пересчета исхода.
+ * serverSeed заполнен только у раундов уже раскрытых пар - остальные
+ * можно проверить после смены сидов, выгрузив историю заново.
+ * 
+ * JSON: { version, exportedAt, rounds: [раунд] }.
+ * CSV: те же поля колонками (RFC 4180), первая строка - заголовок.
+ */
+class RoundExport {
+    static FORMAT_VERSION = 1;
+
+    static FIELDS = [
+        'betId', 'placedAt', 'rows', 'risk', 'bet', 'nonce', 'clientSeed',
+        'serverSeedHash', 'serverSeed', 'slotIndex', 'multiplier', 'payout'
+    ];
+
+    // Числовые поля раунда (в CSV приходят строками)
+    static NUMBER_FIELDS = ['rows', 'bet', 'nonce', 'slotIndex', 'multiplier', 'payout'];
+
+    /**
+     * Раунды из записей HistoryStore (panel.js).
+     * Server seed - из самой записи, иначе из archive - раскрытых пар
+     * сидов ({ serverSeed, serverSeedHash }).
+     */
+    static fromRecords(records, archive = []) {
+        const revealed = new Map(archive.map(pair => [pair.serverSeedHash, pair.serverSeed]));
+        const rounds = [];
+
+        records.forEach(record => {
+            record.results.forEach(ball => {
+                rounds.push({
+                    betId: record.id,
+                    placedAt: new Date(record.placedAt).toISOString(),
+                    rows: record.rows,
+                    risk: record.risk,
+                    bet: record.bet,
+                    nonce: ball.nonce,
+                    clientSeed: record.clientSeed,
+                    serverSeedHash: record.serverSeedHash,
+                    serverSeed: record.serverSeed || revealed.get(record.serverSeedHash) || '',
+                    slotIndex: ball.slotIndex,
+                    multiplier: ball.multiplier,
+                    payout: ball.payout
+                });
+            });
+        });
+        return rounds;
+    }
+
+    static toJSON(rounds) {
+        return JSON.stringify({
+            version: RoundExport.FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            rounds
+        }, null, 2);
+    }
+
+    static toCSV(rounds) {
+        const cell = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [RoundExport.FIELDS.join(',')];
+        rounds.forEach(round => lines.push(RoundExport.FIELDS.map(field => cell(round[field])).join(',')));
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Разбор CSV: массив строк, каждая - массив ячеек
+     */
+    static parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (quoted) throw new Error('CSV has an unterminated quoted value');
+        if (cell !== '' || row.length) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows.filter(cells => cells.some(value => value !== ''));
+    }
+
+    /**
+     * Выгрузка в любом из форматов -> массив раундов
+     */
+    static parse(text) {
+        text = String(text).replace(/^\uFEFF/, '').trim(); // BOM из Excel
+        if (!text) throw new Error('History export is empty');
+
+        let rounds;
+        if (text[0] === '{') {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                throw new Error('History export is not valid JSON');
+            }
+            if (data.version !== RoundExport.FORMAT_VERSION || !Array.isArray(data.rounds)) {
+                throw new Error('Unsupported history export format');
+            }
+            rounds = data.rounds;
+        } else {
+            const [header, ...lines] = RoundExport.parseCSV(text);
+            const missing = RoundExport.FIELDS.filter(field => !header.includes(field));
+            if (missing.length) throw new Error(`CSV is missing columns: ${missing.join(', ')}`);
+
+            rounds = lines.map(cells => {
+                const round = {};
+                header.forEach((field, i) => { round[field] = cells[i] === undefined ? '' : cells[i]; });
+                return round;
+            });
+        }
+
+        return rounds.map(round => {
+            const parsed = { ...round };
+            RoundExport.NUMBER_FIELDS.forEach(field => { parsed[field] = Number(round[field]); });
+            parsed.serverSeed = round.serverSeed || '';
+            return parsed;
+        });
+    }
+
+    /**
+     * Пересчет каждого раунда. Статусы:
+     *   ok         - хеш сида, слот и выплата совпали
+     *   mismatch   - есть расхождение (errors)
+     *   unrevealed - server seed еще не раскрыт, проверка невозможна
+     * ok - расхождений нет и проверен хотя бы один раунд (summary.checked).
+     * Множитель берется из таблиц tables (по умолчанию текущие PayTables),
+     * а не из файла: выплата считается как bet × множитель таблицы.
+     * Раунды на своих таблицах проверяются с этими таблицами.
+     */
+    static verify(rounds, tables = PayTables) {
+        const results = rounds.map(round => {
+            const errors = [];
+            if (!round.serverSeed) return { round, status: 'unrevealed', errors };
+
+            try {
+                if (!Number.isInteger(round.nonce) || round.nonce < 0) throw new Error(`Invalid nonce: ${round.nonce}`);
+                if (!Number.isInteger(round.rows)) throw new Error(`Invalid rows: ${round.rows}`);
+
+                if (FairGameEngine.hashServerSeed(round.serverSeed) !== round.serverSeedHash) {
+                    errors.push('Server seed does not match its hash');
+                }
+
+                const outcome = FairGameEngine.computeOutcome(round.serverSeed, round.clientSeed, round.nonce, round.rows);
+                if (outcome.slotIndex !== round.slotIndex) {
+                    errors.push(`Slot ${round.slotIndex}, expected ${outcome.slotIndex}`);
+                }
+
+                const table = PayTableManager.lookup(round.rows, round.risk, tables);
+                if (!table) throw new Error(`No pay table for ${round.rows} rows / ${round.risk}`);
+
+                const multiplier = table[outcome.slotIndex];
+                if (multiplier !== round.multiplier) {
+                    errors.push(`Multiplier ${round.multiplier}x, pay table has ${multiplier}x`);
+                }
+                const payout = MathUtils.roundMoney(round.bet * multiplier);
+                if (!(round.bet > 0) || payout !== MathUtils.roundMoney(round.payout)) {
+                    errors.push(`Payout ${round.payout}, expected ${round.bet} × ${multiplier} = ${payout}`);
+                }
+            } catch (e) {
+                errors.push(e.message);
+            }
+            return { round, status: errors.length ? 'mismatch' : 'ok', errors };
+        });
+
+        const count = (status) => results.filter(result => result.status === status).length;
+        const summary = { total: results.length, ok: count('ok'), mismatch: count('mismatch'), unrevealed: count('unrevealed') };
+        summary.checked = summary.ok + summary.mismatch;
+        // Ни одного раскрытого раунда - проверять было нечего, это не успех
+        return { ok: summary.mismatch === 0 && summary.checked > 0, summary, results };
+    }
+}
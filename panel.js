@@ -31,12 +31,57 @@ const APP_CONFIG = {
         maxBet: 1000.00,
         maxProfit: 500000.00,
         defaultBet: 50.00,
-        rows: [8, 10, 12, 14, 16],
-        risks: ['low', 'normal', 'high']
+        // Ряды берутся из таблиц выплат (MathConfig.getRowsOptions)
+        get rows() { return MathConfig.getRowsOptions(); },
+        risks: ['low', 'normal', 'high'],
+        ballsPerBet: { min: 1, max: 100 }
+    },
+    payTables: {
+        // Редактор таблиц и потолок RTP - настройка оператора, игрокам не показывается.
+        // Демо-стенд может включить здесь.
+        editable: false
+    },
+    multiBall: {
+        staggerMs: 100 // Интервал между шариками одной ставки
     },
     autoBet: {
         maxSpeed: 100, // мс между ставками в турбо режиме
-        normalSpeed: 400
+        normalSpeed: 400,
+        instantSpeed: 20, // мс между мгновенными ставками (без шариков)
+        turboTimeScale: 4 // Ускорение физики в турбо режиме
+    },
+    strategy: {
+        initTimeoutMs: 2000, // Загрузка кода стратегии в Worker
+        callTimeoutMs: 250 // Один вызов стратегии
+    },
+    backtest: {
+        maxBets: 100000,
+        chunk: 250 // Ставок между обновлениями прогресса
+    },
+    backend: {
+        // '' - счет в браузере; http(s):// или ws(s):// - сервер (см. BetService.create)
+        url: '',
+        timeoutMs: 5000,
+        retries: 3, // Повторы идемпотентных запросов при ошибке сети
+        retryDelayMs: 300, // Первая пауза, дальше удваивается
+        reconcileDelayMs: 5000, // Сверка незавершенных ставок после ошибки сети
+        reconcileMaxDelayMs: 60000
+    },
+    wallet: {
+        initialDeposit: 20000.00, // Первое пополнение нового журнала
+        topUpAmount: 20000.00, // Кнопка "Пополнить"
+        pageSize: 500, // Записей на страницу журнала в localStorage
+        maxPages: 10, // Старые страницы сворачиваются в остаток (~1 МБ из квоты ~5 МБ)
+        recentEntries: 50 // Записей в окне кошелька
+    },
+    history: {
+        dbName: 'plinko_game_history', // База IndexedDB (префикс как у StorageManager)
+        pageSize: 20, // Ставок на страницу окна истории
+        maxRecords: 100000 // Старые ставки удаляются при запуске
+    },
+    gameInfo: {
+        ruinHorizons: [100, 1000], // Горизонты (ставок) для оценки риска разорения
+        ruinTrials: 1000 // Прогонов Монте-Карло на горизонт
     },
     sounds: {
         click: 'assets/sounds/click.mp3',
@@ -114,13 +159,16 @@ const Utils = {
     },
 
     /**
-     * Генерация случайного ID сессии
+     * UUID v4 из криптостойкого генератора (в том числе id запроса ставки)
      */
     generateUUID: () => {
-        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-            var r = Math.random() * 16 | 0, v = c == 'x' ? r : (r & 0x3 | 0x8);
-            return v.toString(16);
-        });
+        const bytes = new Uint8Array(16);
+        crypto.getRandomValues(bytes);
+        bytes[6] = (bytes[6] & 0x0f) | 0x40; // Версия 4
+        bytes[8] = (bytes[8] & 0x3f) | 0x80; // Вариант RFC 4122
+
+        const hex = CryptoEngine.bytesToHex(bytes);
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
     },
 
     /**
@@ -130,6 +178,20 @@ const Utils = {
         const parsed = parseFloat(value);
         if (isNaN(parsed) || !isFinite(parsed)) return 0;
         return parsed;
+    },
+
+    /**
+     * Сохранить текст файлом через загрузку браузера
+     */
+    downloadFile: (filename, text, type) => {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
     }
 };
 
@@ -183,12 +245,20 @@ class StorageManager {
 
     save(key, value) {
         try {
-            localStorage.setItem(this.prefix + key, JSON.stringify(value));
+            this.write(key, value);
         } catch (e) {
             Logger.error('Storage', 'Save failed', e);
         }
     }
 
+    /**
+     * Запись без перехвата ошибок: для данных, потеря которых недопустима
+     * (переполнение квоты должно дойти до вызывающего)
+     */
+    write(key, value) {
+        localStorage.setItem(this.prefix + key, JSON.stringify(value));
+    }
+
     load(key) {
         try {
             const item = localStorage.getItem(this.prefix + key);
@@ -199,6 +269,10 @@ class StorageManager {
         }
     }
 
+    remove(key) {
+        localStorage.removeItem(this.prefix + key);
+    }
+
     reset() {
         localStorage.clear();
     }
@@ -316,7 +390,7 @@ class InputValidator {
 
 /**
  * Класс, управляющий логикой автоматических ставок.
- * Реализует стратегии OnWin / OnLoss.
+ * Реализует стратегии OnWin / OnLoss и пользовательские скрипты (StrategySandbox).
  */
 class AutoBetEngine {
     constructor(gameController) {
@@ -326,45 +400,192 @@ class AutoBetEngine {
             totalBets: 0, // 0 = бесконечно
             stopWin: 0,
             stopLoss: 0,
+            stopOnMultiplier: 0, // Стоп, если шарик выиграл >= X (0 = выкл.)
+            stopAfterLosses: 0, // Стоп после N проигрышей подряд (0 = выкл.)
             onWinAction: 'reset', // 'reset' | 'increase'
             onWinValue: 0,
             onLossAction: 'reset',
-            onLossValue: 0
+            onLossValue: 0,
+            script: null, // Код стратегии, null = OnWin / OnLoss
+            speed: 'normal' // 'normal' | 'turbo' | 'instant'
         };
         
-        this.stats = {
+        this.stats = AutoBetEngine.createStats();
+
+        this.runId = 0; // Метка ставок текущего запуска (group.tag)
+        this.sandbox = null;
+        this.decision = null; // Ожидаемое решение стратегии по последнему результату
+        this.pendingSettings = null; // Ряды/риск от стратегии, ждут применения
+        this.timer = null;
+    }
+
+    static createStats(startBalance = 0, baseBet = 0) {
+        return {
             betsCount: 0,
             totalProfit: 0,
-            startBalance: 0
+            startBalance,
+            baseBet, // Ставка на момент запуска, к ней возвращает 'reset'
+            wins: 0,
+            losses: 0,
+            winStreak: 0,
+            lossStreak: 0,
+            bestMultiplier: 0 // Лучший множитель одного шарика
         };
+    }
 
-        this.timer = null;
+    /**
+     * Чтение формы #auto-settings. Пустые и отрицательные значения = 0.
+     */
+    readParams() {
+        const number = (id) => Math.max(0, Utils.parseFloatSecure(document.getElementById(id).value));
+        const action = (id) => document.getElementById(id).value === 'increase' ? 'increase' : 'reset';
+        const strategy = document.getElementById('auto-strategy');
+
+        return {
+            totalBets: Math.floor(number('auto-total-bets')),
+            stopWin: number('auto-stop-win'),
+            stopLoss: number('auto-stop-loss'),
+            stopOnMultiplier: number('auto-stop-multiplier'),
+            stopAfterLosses: Math.floor(number('auto-stop-losses')),
+            onWinAction: action('auto-win-action'),
+            onWinValue: number('auto-win-value'),
+            onLossAction: action('auto-loss-action'),
+            onLossValue: number('auto-loss-value'),
+            script: strategy && strategy.value !== 'basic' ? document.getElementById('auto-script').value : null,
+            speed: AutoBetEngine.SPEEDS[document.getElementById('auto-speed').value] ? document.getElementById('auto-speed').value : 'normal'
+        };
     }
 
     /**
-     * Считывает настройки из UI и запускает процесс
+     * Пауза между ставками по режиму скорости
      */
-    start() {
+    static SPEEDS = {
+        normal: () => APP_CONFIG.autoBet.normalSpeed,
+        turbo: () => APP_CONFIG.autoBet.maxSpeed,
+        instant: () => APP_CONFIG.autoBet.instantSpeed
+    };
+
+    get delay() {
+        return AutoBetEngine.SPEEDS[this.params.speed]();
+    }
+
+    /**
+     * Следующая ставка по стратегии OnWin / OnLoss.
+     * 'reset' - возврат к baseBet, 'increase' - текущая ставка + N%.
+     * Результат всегда в пределах APP_CONFIG.limits.minBet..maxBet.
+     */
+    static nextBet(params, currentBet, baseBet, isWin) {
+        const action = isWin ? params.onWinAction : params.onLossAction;
+        const value = isWin ? params.onWinValue : params.onLossValue;
+
+        const bet = action === 'increase' ? currentBet * (1 + value / 100) : baseBet;
+        return MathUtils.clamp(MathUtils.roundMoney(bet), APP_CONFIG.limits.minBet, APP_CONFIG.limits.maxBet);
+    }
+
+    /**
+     * Учет результата ставки в stats. Возвращает true при выигрыше.
+     * maxMultiplier - лучший множитель среди шариков ставки.
+     */
+    static recordResult(stats, winAmount, betAmount, maxMultiplier = 0) {
+        const isWin = winAmount > betAmount;
+        stats.bestMultiplier = Math.max(stats.bestMultiplier, maxMultiplier);
+        stats.totalProfit = MathUtils.roundMoney(stats.totalProfit + winAmount - betAmount);
+        stats.wins += isWin ? 1 : 0;
+        stats.losses += isWin ? 0 : 1;
+        stats.winStreak = isWin ? stats.winStreak + 1 : 0;
+        stats.lossStreak = isWin ? 0 : stats.lossStreak + 1;
+        return isWin;
+    }
+
+    /**
+     * Проверка лимитов только по рассчитанным ставкам (stats.totalProfit).
+     * 
+     * pending - { stake, count } ставок запуска, шарики которых еще в полете.
+     * Если они могут довести до стоп-лосса или серии проигрышей, ответ 'wait':
+     * новую ставку делать рано, решение будет после их расчета.
+     * 
+     * @returns {string|null} 'total_bets' | 'take_profit' | 'stop_loss' |
+     *                        'multiplier' | 'loss_streak' | 'wait' | null
+     */
+    static checkLimits(params, stats, pending = { stake: 0, count: 0 }) {
+        if (params.totalBets > 0 && stats.betsCount >= params.totalBets) return 'total_bets';
+        if (params.stopWin > 0 && stats.totalProfit >= params.stopWin) return 'take_profit';
+        if (params.stopOnMultiplier > 0 && stats.bestMultiplier >= params.stopOnMultiplier) return 'multiplier';
+        if (params.stopLoss > 0 && stats.totalProfit <= -params.stopLoss) return 'stop_loss';
+        if (params.stopAfterLosses > 0 && stats.lossStreak >= params.stopAfterLosses) return 'loss_streak';
+
+        // Ставки в полете считаются проигранными, пока не упадут
+        if (pending.count > 0) {
+            if (params.stopLoss > 0 && stats.totalProfit - pending.stake <= -params.stopLoss) return 'wait';
+            if (params.stopAfterLosses > 0 && stats.lossStreak + pending.count >= params.stopAfterLosses) return 'wait';
+        }
+        return null;
+    }
+
+    /**
+     * Ставки текущего запуска, которые еще не рассчитаны
+     */
+    pending() {
+        let stake = 0;
+        let count = 0;
+        this.gameController.groups.forEach(group => {
+            if (group.tag !== this.runId) return;
+            stake += group.stake;
+            count++;
+        });
+        return { stake: MathUtils.roundMoney(stake), count };
+    }
+
+    /**
+     * Контекст вызова скрипта стратегии (см. StrategySandbox)
+     */
+    static strategyContext({ result, balance, bet, balls, settings, stats }) {
+        return {
+            result,
+            balance,
+            bet,
+            baseBet: stats.baseBet,
+            balls,
+            rows: settings.rows,
+            risk: settings.risk,
+            stats: { ...stats },
+            limits: { minBet: APP_CONFIG.limits.minBet, maxBet: APP_CONFIG.limits.maxBet }
+        };
+    }
+
+    /**
+     * Считывает настройки из UI и запускает процесс.
+     * Скрипт стратегии сначала загружается в песочницу и выбирает стартовую ставку.
+     */
+    async start() {
         if (this.active) return;
         
-        // Считываем DOM элементы настроек авто
-        const settingsDiv = document.getElementById('auto-settings');
-        const inputs = settingsDiv.querySelectorAll('input');
-        
-        this.params.totalBets = parseInt(inputs[0].value) || 0;
-        this.params.stopWin = parseFloat(inputs[1].value) || 0;
-        this.params.stopLoss = parseFloat(inputs[2].value) || 0;
+        this.params = this.readParams();
 
         // Фиксация начального состояния
-        this.stats.betsCount = 0;
-        this.stats.totalProfit = 0;
-        this.stats.startBalance = window.UI.getBalance();
+        this.stats = AutoBetEngine.createStats(this.gameController.service.balance, this.gameController.validator.getCurrentValue());
+        this.pendingSettings = null;
+        this.decision = null;
+        this.runId++;
         this.active = true;
 
+        if (this.params.speed === 'turbo') GameLogic.setTimeScale(APP_CONFIG.autoBet.turboTimeScale);
+
         Logger.info('AutoBot', 'Engine Started', this.params);
         
         // Блокируем UI
         this.toggleUI(true);
+
+        if (this.params.script) {
+            try {
+                this.sandbox = new StrategySandbox(this.params.script);
+                await this.sandbox.init();
+                await this.runStrategy(null);
+            } catch (e) {
+                this.fail(e);
+                return;
+            }
+        }
         
         // Запускаем цикл
         this.loop();
@@ -375,6 +596,12 @@ class AutoBetEngine {
         
         this.active = false;
         clearTimeout(this.timer);
+        GameLogic.setTimeScale(1);
+
+        if (this.sandbox) {
+            this.sandbox.terminate();
+            this.sandbox = null;
+        }
         
         Logger.info('AutoBot', 'Engine Stopped');
         this.toggleUI(false);
@@ -384,8 +611,17 @@ class AutoBetEngine {
         if(btn) btn.innerText = 'ЗАПУСТИТЬ АВТО';
     }
 
+    /**
+     * Ошибка или таймаут стратегии - авто-режим останавливается
+     */
+    fail(error) {
+        Logger.error('AutoBot', 'Strategy failed', error);
+        Toaster.error(`Стратегия: ${error.message}`);
+        this.stop();
+    }
+
     toggleUI(locked) {
-        const inputs = document.querySelectorAll('input, select');
+        const inputs = document.querySelectorAll('input, select, textarea');
         inputs.forEach(el => el.disabled = locked);
         
         const btn = document.getElementById('btn-auto-start');
@@ -399,50 +635,544 @@ class AutoBetEngine {
     async loop() {
         if (!this.active) return;
 
-        // Проверка ограничений кол-ва ставок
-        if (this.params.totalBets > 0 && this.stats.betsCount >= this.params.totalBets) {
-            Logger.info('AutoBot', 'Limit reached: Total Bets');
-            this.stop();
+        // Лимиты по рассчитанным ставкам; 'wait' - ждем шарики в полете
+        const limit = AutoBetEngine.checkLimits(this.params, this.stats, this.pending());
+        if (limit === 'wait') {
+            this.timer = setTimeout(() => this.loop(), this.delay);
             return;
         }
-
-        // Проверка баланса (стоп-лосс / тейк-профит)
-        const currentBalance = window.UI.getBalance();
-        const profit = currentBalance - this.stats.startBalance;
-
-        if (this.params.stopWin > 0 && profit >= this.params.stopWin) {
-            Logger.info('AutoBot', 'Limit reached: Take Profit');
+        if (limit) {
+            Logger.info('AutoBot', `Limit reached: ${limit}`);
             this.stop();
             return;
         }
 
-        if (this.params.stopLoss > 0 && profit <= -this.params.stopLoss) {
-            Logger.info('AutoBot', 'Limit reached: Stop Loss');
-            this.stop();
+        // Ставка делается только после решения стратегии по прошлому результату
+        if (this.decision) {
+            await this.decision;
+            this.decision = null;
+            if (!this.active) return;
+        }
+
+        const instant = this.params.speed === 'instant';
+        const boardBusy = this.gameController.groups.size > 0 || this.gameController.placing > 0;
+
+        // Новые ряды от стратегии: поле перестраивается, только когда шариков на нем нет.
+        // Мгновенные ставки тоже ждут, пока упадут шарики (например, ручной ставки),
+        // иначе их выплаты пришли бы после расчета и лимиты сработали бы неточно.
+        const rowsChange = this.pendingSettings && this.pendingSettings.rows !== MathConfig.rows;
+        if (boardBusy && (instant || rowsChange)) {
+            this.timer = setTimeout(() => this.loop(), this.delay);
             return;
         }
+        if (this.pendingSettings) {
+            this.gameController.applySettings(this.pendingSettings);
+            this.pendingSettings = null;
+        }
 
-        // Попытка сделать ставку
-        const betSuccess = this.gameController.placeBet();
+        // Считаем до ставки: в мгновенном режиме результат приходит внутри placeBet
+        this.stats.betsCount++;
+        const betSuccess = await this.gameController.placeBet({ instant, tag: this.runId });
+        if (!this.active) return;
         
         if (betSuccess) {
-            this.stats.betsCount++;
             // Скорость авто-ставок
-            this.timer = setTimeout(() => this.loop(), APP_CONFIG.autoBet.normalSpeed);
+            this.timer = setTimeout(() => this.loop(), this.delay);
         } else {
             // Если денег нет или ошибка
+            this.stats.betsCount--;
             Logger.warn('AutoBot', 'Bet failed, stopping');
             this.stop();
         }
     }
 
-    // Метод вызывается из GameLogic при завершении раунда
-    processResult(winAmount, betAmount) {
+    /**
+     * Вызывается PanelController.finishGroup после расчета ставки.
+     * Учитываются только ставки этого запуска (round.tag), в том числе
+     * упавшие уже после остановки. Лимиты проверяются сразу по расчету.
+     * Выигрыш - выплата больше поставленного; меняет ставку для следующих раундов.
+     * round - { tag, bet, balls, multiplier, maxMultiplier, rows, risk }.
+     */
+    processResult(winAmount, betAmount, round = {}) {
+        if (!this.runId || round.tag !== this.runId) return;
+
+        const isWin = AutoBetEngine.recordResult(this.stats, winAmount, betAmount, round.maxMultiplier);
         if (!this.active) return;
 
-        const isWin = winAmount > betAmount;
-        // Здесь можно реализовать логику изменения ставки (Мартингейл и т.д.)
-        // Пока оставим базовую логику
+        const limit = AutoBetEngine.checkLimits(this.params, this.stats, this.pending());
+        if (limit && limit !== 'wait') {
+            Logger.info('AutoBot', `Limit reached: ${limit}`);
+            this.stop();
+            return;
+        }
+
+        if (this.sandbox) {
+            this.decision = this.runStrategy({ ...round, win: isWin, payout: winAmount, stake: betAmount })
+                .catch(e => this.fail(e));
+            return;
+        }
+
+        const validator = this.gameController.validator;
+        const next = AutoBetEngine.nextBet(this.params, validator.getCurrentValue(), this.stats.baseBet, isWin);
+        validator.setValue(next);
+    }
+
+    /**
+     * Один вызов скрипта стратегии и применение его решения
+     */
+    async runStrategy(result) {
+        const settings = this.pendingSettings || { rows: MathConfig.rows, risk: MathConfig.risk };
+        const ctx = AutoBetEngine.strategyContext({
+            result,
+            balance: this.gameController.service.balance,
+            bet: this.gameController.validator.getCurrentValue(),
+            balls: this.gameController.getBallsPerBet(),
+            settings,
+            stats: this.stats
+        });
+
+        const decision = StrategySandbox.normalizeDecision(await this.sandbox.next(ctx), settings);
+        if (!this.active) return;
+
+        if (decision.stop) {
+            Logger.info('AutoBot', 'Stopped by strategy');
+            this.stop();
+            return;
+        }
+
+        if (decision.bet !== undefined) this.gameController.validator.setValue(decision.bet);
+        if (decision.rows !== settings.rows || decision.risk !== settings.risk) {
+            this.pendingSettings = { rows: decision.rows, risk: decision.risk };
+        }
+    }
+}
+
+/**
+ * CSP документа песочницы. Worker из blob: наследует ее, поэтому сеть
+ * (connect-src 'none') и загрузка чужого кода (import(), importScripts)
+ * закрыты самим браузером, как бы ни был записан исходник стратегии.
+ * 'unsafe-eval' нужен для new Function, blob: - для самого Worker.
+ */
+const STRATEGY_CSP = "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval' blob:; worker-src blob:";
+
+/**
+ * Код песочницы. Выполняется внутри Worker (через toString),
+ * поэтому не может ссылаться ни на что снаружи.
+ */
+function strategyWorker() {
+    const post = self.postMessage.bind(self);
+    const listen = self.addEventListener.bind(self);
+
+    // Закрываем сеть, хранилища, загрузку кода и канал сообщений (по всей цепочке прототипов)
+    [
+        'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'WebTransport', 'importScripts',
+        'Worker', 'SharedWorker', 'BroadcastChannel', 'indexedDB', 'caches', 'navigator',
+        'postMessage', 'addEventListener', 'removeEventListener', 'onmessage', 'close'
+    ].forEach(name => {
+        for (let target = self; target; target = Object.getPrototypeOf(target)) {
+            if (target !== self && !Object.prototype.hasOwnProperty.call(target, name)) continue;
+            try {
+                Object.defineProperty(target, name, { value: undefined, writable: false, configurable: false });
+            } catch (e) {
+                // Неконфигурируемое свойство - пропускаем
+            }
+        }
+    });
+
+    let strategy = null;
+    let state = {};
+
+    listen('message', ({ data }) => {
+        try {
+            if (data.type === 'init') {
+                strategy = new Function('"use strict"; return (' + data.code + '\n);')();
+                if (typeof strategy !== 'function') throw new Error('Strategy code must evaluate to a function');
+                state = {};
+                post({ id: data.id });
+            } else if (data.type === 'next') {
+                const decision = strategy(data.ctx, state);
+                post({ id: data.id, decision: decision === undefined ? null : JSON.parse(JSON.stringify(decision)) });
+            }
+        } catch (e) {
+            post({ id: data.id, error: String((e && e.message) || e) });
+        }
+    });
+}
+
+/**
+ * Посредник внутри iframe песочницы: запускает Worker и пересылает
+ * сообщения между ним и страницей. Тоже выполняется через toString.
+ */
+function strategyFrame(source) {
+    const worker = new Worker(URL.createObjectURL(new Blob([source], { type: 'application/javascript' })));
+
+    worker.onmessage = (e) => parent.postMessage(e.data, '*');
+    worker.onerror = (e) => {
+        e.preventDefault();
+        parent.postMessage({ crash: e.message || 'Strategy worker crashed' }, '*');
+    };
+    addEventListener('message', (e) => {
+        if (e.source === parent) worker.postMessage(e.data);
+    });
+    parent.postMessage({ ready: true }, '*');
+}
+
+/**
+ * Песочница для пользовательской стратегии.
+ * 
+ * Стратегия - функция (ctx, state) => решение:
+ *   { bet, rows, risk } - любые поля, отсутствующие не меняются;
+ *   число               - только ставка;
+ *   { stop: true }/false - остановить авто-режим.
+ * state - объект, общий для всех вызовов одного запуска.
+ * 
+ * Код выполняется в Worker без DOM внутри скрытого iframe с
+ * sandbox="allow-scripts" (свой пустой origin: ни страницы, ни ее хранилищ)
+ * и CSP STRATEGY_CSP (ни сети, ни внешнего кода).
+ * Каждый вызов ограничен по времени: при превышении iframe уничтожается
+ * вместе с Worker.
+ */
+class StrategySandbox {
+    constructor(code, limits = APP_CONFIG.strategy) {
+        StrategySandbox.checkSyntax(code);
+
+        this.code = code;
+        this.limits = limits;
+        this.pending = new Map();
+        this.nextId = 1;
+        this.ready = new Promise(resolve => { this.resolveReady = resolve; });
+
+        this.onWindowMessage = (e) => {
+            if (!this.frame || e.source !== this.frame.contentWindow) return;
+            const data = e.data || {};
+            if (data.ready) this.resolveReady();
+            else if (data.crash) this.terminate(new Error(data.crash));
+            else this.onMessage(data);
+        };
+        window.addEventListener('message', this.onWindowMessage);
+
+        this.frame = document.createElement('iframe');
+        this.frame.setAttribute('sandbox', 'allow-scripts');
+        this.frame.style.display = 'none';
+        this.frame.srcdoc = StrategySandbox.frameDocument();
+        document.body.appendChild(this.frame);
+    }
+
+    /**
+     * HTML песочницы: CSP и посредник с кодом Worker
+     */
+    static frameDocument() {
+        const source = JSON.stringify(`(${strategyWorker.toString()})();`).replace(/</g, '\\u003c');
+        return '<!DOCTYPE html>'
+            + `<meta http-equiv="Content-Security-Policy" content="${STRATEGY_CSP}">`
+            + `<script>(${strategyFrame.toString()})(${source});</` + 'script>';
+    }
+
+    /**
+     * Проверка синтаксиса без выполнения кода (Function только компилирует).
+     * Сеть и import() закрывает CSP песочницы, а не разбор исходника.
+     */
+    static checkSyntax(code) {
+        if (!code || !code.trim()) throw new Error('Strategy code is empty');
+        new Function('"use strict"; return (' + code + '\n);');
+    }
+
+    /**
+     * Проверка решения стратегии; ставка приводится к лимитам.
+     * current - { rows, risk }, к которым применяется решение.
+     */
+    static normalizeDecision(decision, current) {
+        if (decision === false || (decision && decision.stop)) return { stop: true };
+        if (typeof decision === 'number') decision = { bet: decision };
+        if (!decision || typeof decision !== 'object') decision = {};
+
+        const result = { rows: current.rows, risk: current.risk };
+
+        if (decision.bet !== undefined) {
+            const bet = Number(decision.bet);
+            if (!Number.isFinite(bet) || bet <= 0) throw new Error(`Strategy returned invalid bet: ${decision.bet}`);
+            result.bet = MathUtils.clamp(MathUtils.roundMoney(bet), APP_CONFIG.limits.minBet, APP_CONFIG.limits.maxBet);
+        }
+        if (decision.rows !== undefined) result.rows = Number(decision.rows);
+        if (decision.risk !== undefined) result.risk = String(decision.risk);
+
+        if (!MathConfig.isValid(result.rows, result.risk)) {
+            throw new Error(`Strategy returned unsupported rows/risk: ${result.rows} / ${result.risk}`);
+        }
+        return result;
+    }
+
+    init() {
+        return this.request({ type: 'init', code: this.code }, this.limits.initTimeoutMs);
+    }
+
+    /**
+     * Решение стратегии для контекста ctx
+     */
+    next(ctx) {
+        return this.request({ type: 'next', ctx }, this.limits.callTimeoutMs).then(reply => reply.decision);
+    }
+
+    request(message, timeoutMs) {
+        if (!this.frame) return Promise.reject(new Error('Strategy sandbox is terminated'));
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            const timer = setTimeout(() => {
+                this.terminate(new Error(`Strategy timed out (${timeoutMs} ms)`));
+            }, timeoutMs);
+
+            this.pending.set(id, { resolve, reject, timer });
+            // Первые сообщения ждут загрузки iframe (время входит в таймаут)
+            this.ready.then(() => {
+                if (this.frame) this.frame.contentWindow.postMessage({ ...message, id }, '*');
+            });
+        });
+    }
+
+    onMessage(reply) {
+        const call = this.pending.get(reply.id);
+        if (!call) return;
+
+        clearTimeout(call.timer);
+        this.pending.delete(reply.id);
+
+        if (reply.error) call.reject(new Error(reply.error));
+        else call.resolve(reply);
+    }
+
+    /**
+     * Уничтожение iframe (и его Worker); ожидающие вызовы завершаются ошибкой
+     */
+    terminate(error = new Error('Strategy sandbox is terminated')) {
+        if (!this.frame) return;
+
+        window.removeEventListener('message', this.onWindowMessage);
+        this.frame.remove();
+        this.frame = null;
+
+        this.pending.forEach(call => {
+            clearTimeout(call.timer);
+            call.reject(error);
+        });
+        this.pending.clear();
+    }
+}
+
+/**
+ * Встроенные стратегии (код для StrategySandbox)
+ */
+const STRATEGY_PRESETS = {
+    martingale: {
+        name: 'Мартингейл',
+        code: `(ctx, state) => {
+    // Проигрыш - ставка x2, выигрыш - возврат к базовой
+    if (!ctx.result || ctx.result.win) return { bet: ctx.baseBet };
+    return { bet: ctx.bet * 2 };
+}`
+    },
+    paroli: {
+        name: 'Пароли',
+        code: `(ctx, state) => {
+    // Выигрыш - ставка x2 (не больше трех раз подряд), проигрыш - базовая
+    if (ctx.result && ctx.result.win && ctx.stats.winStreak < 3) return { bet: ctx.bet * 2 };
+    return { bet: ctx.baseBet };
+}`
+    },
+    dalembert: {
+        name: "Д'Аламбер",
+        code: `(ctx, state) => {
+    // Проигрыш - плюс одна базовая ставка, выигрыш - минус одна
+    if (!ctx.result) return { bet: ctx.baseBet };
+    const bet = ctx.result.win ? ctx.bet - ctx.baseBet : ctx.bet + ctx.baseBet;
+    return { bet: Math.max(ctx.baseBet, bet) };
+}`
+    },
+    fibonacci: {
+        name: 'Фибоначчи',
+        code: `(ctx, state) => {
+    // Ставка = базовая * число Фибоначчи (1, 1, 2, 3, 5...)
+    // Проигрыш - шаг вперед, выигрыш - два шага назад
+    state.step = state.step || 0;
+    if (ctx.result) state.step = ctx.result.win ? Math.max(0, state.step - 2) : state.step + 1;
+
+    let a = 1, b = 1;
+    for (let i = 0; i < state.step; i++) [a, b] = [b, a + b];
+    return { bet: ctx.baseBet * a };
+}`
+    }
+};
+
+/**
+ * Сохраненные пользователем стратегии (StorageManager, ключ 'strategies')
+ */
+class StrategyLibrary {
+    constructor() {
+        this.items = storage.load('strategies') || {};
+    }
+
+    list() {
+        return Object.keys(this.items).sort();
+    }
+
+    get(name) {
+        return this.items[name] || null;
+    }
+
+    save(name, code) {
+        name = String(name || '').trim();
+        if (!name) throw new Error('Strategy name is required');
+        StrategySandbox.checkSyntax(code);
+
+        this.items[name] = code;
+        storage.save('strategies', this.items);
+        return name;
+    }
+
+    remove(name) {
+        delete this.items[name];
+        storage.save('strategies', this.items);
+    }
+}
+
+/**
+ * Бэктест стратегии авто-режима на исходах FairGameEngine - без физики
+ * и без сервиса ставок: у прогона свой виртуальный банк.
+ * 
+ * Решения принимаются той же логикой, что и в AutoBetEngine
+ * (nextBet / checkLimits / StrategySandbox), nonce идут с 1, как в игре.
+ * С заданной парой сидов прогон полностью повторяем.
+ */
+class Backtester {
+    constructor(params, { bets, bankroll, bet, balls = 1, rows, risk, serverSeed = null, clientSeed = null }) {
+        this.params = params;
+        this.options = { bets, bankroll, bet, balls, rows, risk };
+        this.serverSeed = serverSeed || FairGameEngine.generateServerSeed();
+        this.clientSeed = clientSeed || FairGameEngine.generateClientSeed();
+        this.cancelled = false;
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * Прогон. onProgress(done, total) вызывается раз в APP_CONFIG.backtest.chunk ставок,
+     * между порциями управление отдается браузеру.
+     */
+    async run(onProgress = null) {
+        const { params } = this;
+        const { bets, bankroll, balls } = this.options;
+
+        let settings = { rows: this.options.rows, risk: this.options.risk };
+        let bet = MathUtils.clamp(MathUtils.roundMoney(this.options.bet), APP_CONFIG.limits.minBet, APP_CONFIG.limits.maxBet);
+        let balance = MathUtils.roundMoney(bankroll);
+        let nonce = 0;
+
+        const stats = AutoBetEngine.createStats(balance, bet);
+        const curve = [balance];
+        let peak = balance;
+        let maxDrawdown = 0;
+        let maxDrawdownPercent = 0;
+        let longestLosingStreak = 0;
+        let wagered = 0;
+        let stopReason = 'completed';
+        let sandbox = null;
+
+        // Решение скрипта; false = стратегия остановилась
+        const decide = async (result) => {
+            const ctx = AutoBetEngine.strategyContext({ result, balance, bet, balls, settings, stats });
+            const decision = StrategySandbox.normalizeDecision(await sandbox.next(ctx), settings);
+            if (decision.stop) return false;
+
+            if (decision.bet !== undefined) bet = decision.bet;
+            settings = { rows: decision.rows, risk: decision.risk };
+            return true;
+        };
+
+        try {
+            if (params.script) {
+                sandbox = new StrategySandbox(params.script);
+                await sandbox.init();
+                if (!(await decide(null))) stopReason = 'strategy';
+            }
+
+            while (stopReason === 'completed' && stats.betsCount < bets) {
+                if (this.cancelled) {
+                    stopReason = 'cancelled';
+                    break;
+                }
+
+                const limit = AutoBetEngine.checkLimits(params, stats);
+                if (limit) {
+                    stopReason = limit;
+                    break;
+                }
+
+                const stake = MathUtils.roundMoney(bet * balls);
+                if (stake > balance) {
+                    stopReason = 'no_funds';
+                    break;
+                }
+
+                // Каждый шарик - отдельный nonce, как в PanelController.placeBet
+                const table = PayTableManager.lookup(settings.rows, settings.risk);
+                if (!table) throw new Error(`No pay table for ${settings.rows} rows / ${settings.risk}`);
+                let payout = 0;
+                let maxMultiplier = 0;
+                for (let i = 0; i < balls; i++) {
+                    const outcome = FairGameEngine.computeOutcome(this.serverSeed, this.clientSeed, ++nonce, settings.rows);
+                    payout += MathUtils.roundMoney(bet * table[outcome.slotIndex]);
+                    maxMultiplier = Math.max(maxMultiplier, table[outcome.slotIndex]);
+                }
+                payout = MathUtils.roundMoney(payout);
+
+                balance = MathUtils.roundMoney(balance - stake + payout);
+                wagered = MathUtils.roundMoney(wagered + stake);
+                stats.betsCount++;
+                curve.push(balance);
+
+                const isWin = AutoBetEngine.recordResult(stats, payout, stake, maxMultiplier);
+                longestLosingStreak = Math.max(longestLosingStreak, stats.lossStreak);
+
+                peak = Math.max(peak, balance);
+                maxDrawdown = Math.max(maxDrawdown, peak - balance);
+                if (peak > 0) maxDrawdownPercent = Math.max(maxDrawdownPercent, (peak - balance) / peak * 100);
+
+                if (sandbox) {
+                    const result = { bet, balls, stake, payout, win: isWin, multiplier: MathUtils.roundMoney(payout / stake), ...settings };
+                    if (!(await decide(result))) stopReason = 'strategy';
+                } else {
+                    bet = AutoBetEngine.nextBet(params, bet, stats.baseBet, isWin);
+                }
+
+                if (stats.betsCount % APP_CONFIG.backtest.chunk === 0) {
+                    if (onProgress) onProgress(stats.betsCount, bets);
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+        } finally {
+            if (sandbox) sandbox.terminate();
+        }
+
+        return {
+            serverSeed: this.serverSeed,
+            serverSeedHash: FairGameEngine.hashServerSeed(this.serverSeed),
+            clientSeed: this.clientSeed,
+            requested: bets,
+            bets: stats.betsCount,
+            startBalance: stats.startBalance,
+            finalBalance: balance,
+            profit: MathUtils.roundMoney(balance - stats.startBalance),
+            wagered,
+            wins: stats.wins,
+            losses: stats.losses,
+            maxDrawdown: MathUtils.roundMoney(maxDrawdown),
+            maxDrawdownPercent,
+            longestLosingStreak,
+            stopReason,
+            curve
+        };
     }
 }
 
@@ -549,42 +1279,277 @@ class ChatSystem {
    9. HISTORY MANAGER
    ========================================================================== */
 
-class HistoryManager {
-    constructor() {
-        this.tableBody = document.getElementById('history-table');
+/**
+ * Реплеи последних раундов (localStorage через StorageManager).
+ * Id записи - хеш server seed + nonce: эта пара однозначно определяет раунд.
+ */
+class ReplayStore {
+    constructor(limit = APP_CONFIG.ui.scrollLimit) {
+        this.limit = limit;
+        this.items = storage.load('replays') || [];
     }
 
-    addRecord(gameData) {
-        /*
-         gameData format:
-         {
-            user: "Hidden",
-            bet: 50.00,
-            multiplier: 2.0,
-            payout: 100.00,
-            win: true
-         }
-        */
-        if (!this.tableBody) return;
+    static idOf(replay) {
+        return `${replay.round.serverSeedHash.slice(0, 16)}:${replay.round.nonce}`;
+    }
 
-        const time = new Date().toLocaleTimeString('ru-RU', { hour12: false });
-        const multClass = this.getMultClass(gameData.multiplier);
-        const rowClass = gameData.win ? 'win' : 'lose';
-        const payoutClass = gameData.win ? 'text-win' : 'text-lose';
-        
-        const row = document.createElement('div');
-        row.className = `table-row new ${rowClass}`;
-        
-        row.innerHTML = `
-            <div class="col-game">Plinko X</div>
-            <div class="col-user hidden-name">${gameData.user || 'User'}</div>
-            <div class="col-time">${time}</div>
-            <div class="col-bet">${Utils.formatMoney(gameData.bet)}</div>
-            <div class="col-mult ${multClass}">${gameData.multiplier}x</div>
-            <div class="col-payout ${payoutClass}">${Utils.formatMoney(gameData.payout)}</div>
-        `;
+    /**
+     * Сохранить запись, вернуть ее id
+     */
+    add(replay) {
+        const id = ReplayStore.idOf(replay);
+        this.items = [{ id, replay }, ...this.items.filter(item => item.id !== id)].slice(0, this.limit);
+        storage.save('replays', this.items);
+        return id;
+    }
 
-        // Вставляем в начало
+    get(id) {
+        const item = this.items.find(item => item.id === id);
+        return item ? item.replay : null;
+    }
+}
+
+/**
+ * Архив ставок в IndexedDB: одна запись на ставку, ключ - betId.
+ * Запись: { id, placedAt, bet, balls, stake, rows, risk, serverSeedHash,
+ *           clientSeed, nonce, slotIndex, multiplier, payout, win, results }
+ * nonce - первого шарика, slotIndex - только у ставки в один шарик,
+ * results - разбивка по шарикам { nonce, slotIndex, multiplier, payout }.
+ * После ротации сидов в запись добавляется раскрытый serverSeed (reveal):
+ * архив сидов сервиса хранит только последние ротации, а запись - пока
+ * ее не удалит prune.
+ * 
+ * Без IndexedDB (приватный режим, старый браузер) записи живут в памяти
+ * до перезагрузки.
+ */
+class HistoryStore {
+    static STORE = 'bets';
+    static VERSION = 1;
+
+    constructor({ dbName = APP_CONFIG.history.dbName, maxRecords = APP_CONFIG.history.maxRecords } = {}) {
+        this.dbName = dbName;
+        this.maxRecords = maxRecords;
+        this.memory = []; // Запасное хранилище, новые в конце
+        this.db = this.open();
+    }
+
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Promise<IDBDatabase | null>. null - работаем в памяти.
+     */
+    async open() {
+        if (typeof indexedDB === 'undefined') {
+            Logger.warn('History', 'IndexedDB is unavailable, history is kept in memory');
+            return null;
+        }
+
+        try {
+            const request = indexedDB.open(this.dbName, HistoryStore.VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(HistoryStore.STORE, { keyPath: 'id' });
+                store.createIndex('placedAt', 'placedAt');
+            };
+            const db = await HistoryStore.request(request);
+            await this.prune(db);
+            return db;
+        } catch (e) {
+            Logger.warn('History', `IndexedDB failed (${e && e.message}), history is kept in memory`);
+            return null;
+        }
+    }
+
+    /**
+     * Удалить самые старые ставки сверх maxRecords
+     */
+    async prune(db) {
+        const store = db.transaction(HistoryStore.STORE, 'readwrite').objectStore(HistoryStore.STORE);
+        let excess = await HistoryStore.request(store.count()) - this.maxRecords;
+        if (excess <= 0) return;
+
+        const cursorRequest = store.index('placedAt').openCursor();
+        await new Promise((resolve, reject) => {
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || excess-- <= 0) return resolve();
+                cursor.delete();
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+    }
+
+    async put(record) {
+        const db = await this.db;
+        if (!db) {
+            this.memory = [...this.memory.filter(item => item.id !== record.id), record].slice(-this.maxRecords);
+            return;
+        }
+        const store = db.transaction(HistoryStore.STORE, 'readwrite').objectStore(HistoryStore.STORE);
+        await HistoryStore.request(store.put(record));
+    }
+
+    /**
+     * Дописать раскрытый server seed в ставки, сыгранные на нем
+     */
+    async reveal({ serverSeed, serverSeedHash }) {
+        const db = await this.db;
+        if (!db) {
+            this.memory = this.memory.map(record => record.serverSeedHash === serverSeedHash ? { ...record, serverSeed } : record);
+            return;
+        }
+
+        const cursorRequest = db.transaction(HistoryStore.STORE, 'readwrite').objectStore(HistoryStore.STORE).openCursor();
+        await new Promise((resolve, reject) => {
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return resolve();
+                if (cursor.value.serverSeedHash === serverSeedHash && !cursor.value.serverSeed) {
+                    cursor.update({ ...cursor.value, serverSeed });
+                }
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+    }
+
+    /**
+     * filter: { from, to (мс), risk, rows, result: 'win' | 'loss', minMultiplier, maxMultiplier }.
+     * Пустые поля не фильтруют.
+     */
+    static matches(record, filter) {
+        if (Number.isFinite(filter.from) && record.placedAt < filter.from) return false;
+        if (Number.isFinite(filter.to) && record.placedAt > filter.to) return false;
+        if (filter.risk && record.risk !== filter.risk) return false;
+        if (filter.rows && record.rows !== filter.rows) return false;
+        if (filter.result === 'win' && !record.win) return false;
+        if (filter.result === 'loss' && record.win) return false;
+        if (Number.isFinite(filter.minMultiplier) && record.multiplier < filter.minMultiplier) return false;
+        if (Number.isFinite(filter.maxMultiplier) && record.multiplier > filter.maxMultiplier) return false;
+        return true;
+    }
+
+    /**
+     * Страница ставок по фильтру, новые сверху.
+     * Возвращает { items, page, pages, summary: { count, stake, payout, profit } },
+     * summary - итоги по всем ставкам фильтра, а не только по странице.
+     * pageSize: Infinity - все ставки фильтра одной страницей.
+     */
+    async query(filter = {}, { page = 1, pageSize = APP_CONFIG.history.pageSize } = {}) {
+        const offset = page > 1 ? (page - 1) * pageSize : 0;
+        const items = [];
+        const summary = { count: 0, stake: 0, payout: 0 };
+
+        const visit = (record) => {
+            if (!HistoryStore.matches(record, filter)) return;
+            if (summary.count >= offset && items.length < pageSize) items.push(record);
+            summary.count++;
+            summary.stake += record.stake;
+            summary.payout += record.payout;
+        };
+
+        const db = await this.db;
+        if (db) {
+            // Дата отсекается индексом, остальные поля проверяются по записи
+            const range = IDBKeyRange.bound(
+                Number.isFinite(filter.from) ? filter.from : 0,
+                Number.isFinite(filter.to) ? filter.to : Infinity
+            );
+            const cursorRequest = db.transaction(HistoryStore.STORE).objectStore(HistoryStore.STORE)
+                .index('placedAt').openCursor(range, 'prev');
+            await new Promise((resolve, reject) => {
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor) return resolve();
+                    visit(cursor.value);
+                    cursor.continue();
+                };
+                cursorRequest.onerror = () => reject(cursorRequest.error);
+            });
+        } else {
+            [...this.memory].sort((a, b) => b.placedAt - a.placedAt).forEach(visit);
+        }
+
+        const stake = MathUtils.roundMoney(summary.stake);
+        const payout = MathUtils.roundMoney(summary.payout);
+        return {
+            items,
+            page,
+            pages: Math.max(1, Math.ceil(summary.count / pageSize)),
+            summary: { count: summary.count, stake, payout, profit: MathUtils.roundMoney(payout - stake) }
+        };
+    }
+}
+
+class HistoryManager {
+    constructor() {
+        this.tableBody = document.getElementById('history-table');
+        this.store = new HistoryStore();
+    }
+
+    /**
+     * Сохранить итог ставки в архив (формат записи - см. HistoryStore)
+     */
+    save(record) {
+        this.store.put(record).catch(e => Logger.error('History', 'Failed to save bet', e));
+    }
+
+    addRecord(gameData) {
+        /*
+         gameData format:
+         {
+            betId: "a1b2c3d4e5f60718:41", // Id ставки в журнале кошелька
+            user: "Hidden",
+            bet: 50.00,
+            multiplier: 2.0,
+            payout: 100.00,
+            win: true,
+            replayId: "a1b2c3d4e5f60718:42", // Необязательно (ReplayStore)
+            balls: [                          // Мульти-шар: разбивка по шарикам
+                { nonce, slotIndex, multiplier, payout, replayId }
+            ]
+         }
+        */
+        if (!this.tableBody) return;
+
+        const time = new Date().toLocaleTimeString('ru-RU', { hour12: false });
+        const multClass = this.getMultClass(gameData.multiplier);
+        const rowClass = gameData.win ? 'win' : 'lose';
+        const payoutClass = gameData.win ? 'text-win' : 'text-lose';
+        
+        const row = document.createElement('div');
+        row.className = `table-row new ${rowClass}`;
+        
+        row.innerHTML = `
+            <div class="col-game">Plinko X</div>
+            <div class="col-user hidden-name">${gameData.user || 'User'}</div>
+            <div class="col-time">${time}</div>
+            <div class="col-bet">${Utils.formatMoney(gameData.bet)}</div>
+            <div class="col-mult ${multClass}">${gameData.multiplier}x</div>
+            <div class="col-payout ${payoutClass}">${Utils.formatMoney(gameData.payout)}</div>
+        `;
+
+        // Ссылка на реплей раунда
+        if (gameData.replayId) row.appendChild(this.createReplayLink(gameData.replayId));
+
+        // Разбивка мульти-ставки (раскрывается по клику)
+        if (gameData.balls && gameData.balls.length > 1) {
+            const toggle = document.createElement('button');
+            toggle.className = 'col-replay';
+            toggle.innerText = `×${gameData.balls.length}`;
+            row.appendChild(toggle);
+
+            const details = this.createBreakdown(gameData.balls);
+            row.appendChild(details);
+            toggle.addEventListener('click', () => details.classList.toggle('open'));
+        }
+
+        // Вставляем в начало
         this.tableBody.insertBefore(row, this.tableBody.firstChild);
 
         // Удаляем класс анимации через время
@@ -596,6 +1561,36 @@ class HistoryManager {
         }
     }
 
+    createReplayLink(replayId) {
+        const link = document.createElement('button');
+        link.className = 'col-replay';
+        link.title = 'Реплей';
+        link.innerText = '▶';
+        link.addEventListener('click', () => globalBus.publish('replay:open', replayId));
+        return link;
+    }
+
+    createBreakdown(balls) {
+        const list = document.createElement('div');
+        list.className = 'history-breakdown';
+
+        balls.forEach(ball => {
+            const item = document.createElement('div');
+            item.className = 'history-ball';
+            item.innerHTML = `
+                <span>#${ball.nonce}</span>
+                <span>слот ${ball.slotIndex}</span>
+                <span class="${this.getMultClass(ball.multiplier)}">${ball.multiplier}x</span>
+                <span>${Utils.formatMoney(ball.payout)}</span>
+            `;
+
+            if (ball.replayId) item.appendChild(this.createReplayLink(ball.replayId));
+            list.appendChild(item);
+        });
+
+        return list;
+    }
+
     getMultClass(mult) {
         if (mult < 1) return 'text-low';
         if (mult < 10) return 'text-med';
@@ -604,47 +1599,2006 @@ class HistoryManager {
 }
 
 /* ==========================================================================
-   10. MAIN PANEL CONTROLLER (ORCHESTRATOR)
+   10. WALLET LEDGER
    ========================================================================== */
 
-class PanelController {
-    constructor() {
-        this.validator = new InputValidator();
-        this.autoEngine = new AutoBetEngine(this);
-        this.chat = new ChatSystem();
-        this.history = new HistoryManager();
-        
-        // DOM Elements
-        this.btnPlay = document.getElementById('btn-play');
-        this.btnAutoStart = document.getElementById('btn-auto-start');
-        
-        this.btnHalf = document.querySelector('.btn-half');
-        this.btnDouble = document.querySelector('.btn-double');
-        
-        this.riskSelect = document.getElementById('risk-select');
-        this.rowsSelect = document.getElementById('rows-select');
-        
-        this.quickBets = document.querySelectorAll('.quick-bet-btn');
-        this.modeTabs = document.querySelectorAll('.mode-tab');
-        
-        this.modals = {
-            settings: document.getElementById('modal-settings'),
-            fairness: document.getElementById('modal-fairness')
+/**
+ * Кошелек. Баланс нигде не хранится отдельно - он всегда выводится из
+ * журнала операций, поэтому его можно проверить (audit) и сверить с историей
+ * ставок (reconcile).
+ * 
+ * Журнал только дописывается. Типы записей:
+ *   bet        - списание ставки (amount < 0)
+ *   payout     - выплата одного шарика (amount >= 0)
+ *   deposit    - пополнение
+ *   adjustment - ручная корректировка (любой знак)
+ *   refund     - возврат ставки шарика, исход которого потерян
+ * 
+ * Запись: { seq, type, amount, balance, betId, roundId, nonce, nonces,
+ *           placedAt, createdAt, note }
+ * betId - id ставки (хеш server seed + первый nonce), roundId - id раунда
+ * (хеш server seed + nonce шарика, как у ReplayStore).
+ * 
+ * Хранение: страницы по pageSize записей (ledger_page_N), дописывается только
+ * последняя. Когда страниц больше maxPages, самая старая сворачивается
+ * в opening - остаток и итоги по типам на ее конец.
+ * 
+ * Запись идет мимо перехвата ошибок StorageManager.save: если localStorage
+ * отказал (квота), append бросает исключение, а баланс и seq не меняются.
+ */
+class Wallet {
+    static TYPES = ['bet', 'payout', 'deposit', 'adjustment', 'refund'];
+
+    constructor({ pageSize = APP_CONFIG.wallet.pageSize, maxPages = APP_CONFIG.wallet.maxPages } = {}) {
+        this.pageSize = pageSize;
+        this.maxPages = maxPages;
+        this.load();
+    }
+
+    /**
+     * Id ставки и раунда: первые 16 символов хеша server seed + nonce
+     */
+    static roundId(serverSeedHash, nonce) {
+        return `${serverSeedHash.slice(0, 16)}:${nonce}`;
+    }
+
+    static emptyTotals() {
+        return Object.fromEntries(Wallet.TYPES.map(type => [type, 0]));
+    }
+
+    load() {
+        this.meta = storage.load('ledger_meta');
+
+        if (!this.meta) {
+            this.meta = {
+                opening: { seq: 0, balance: 0, totals: Wallet.emptyTotals() },
+                firstPage: 0,
+                lastPage: 0
+            };
+            this.page = [];
+            this.balance = 0;
+            this.seq = 0;
+            this.deposit(APP_CONFIG.wallet.initialDeposit, 'Стартовый баланс');
+            return;
+        }
+
+        this.page = storage.load(`ledger_page_${this.meta.lastPage}`) || [];
+        const last = this.page[this.page.length - 1] || this.meta.opening;
+        this.balance = last.balance;
+        this.seq = last.seq;
+    }
+
+    /**
+     * Дописать запись. Баланс после записи не может стать отрицательным.
+     * Ошибка записи в localStorage пробрасывается, журнал в памяти не меняется.
+     */
+    append(type, amount, ref = {}) {
+        if (!Wallet.TYPES.includes(type)) {
+            throw new Error(`Unknown ledger entry type: ${type}`);
+        }
+        amount = MathUtils.roundMoney(amount);
+        if (!Number.isFinite(amount)) {
+            throw new Error('Ledger amount must be a finite number');
+        }
+
+        const balance = MathUtils.roundMoney(this.balance + amount);
+        if (balance < 0) {
+            throw new Error('Insufficient funds');
+        }
+
+        const entry = {
+            seq: this.seq + 1,
+            type,
+            amount,
+            balance,
+            betId: ref.betId || null,
+            roundId: ref.roundId || null,
+            nonce: ref.nonce !== undefined ? ref.nonce : null,
+            createdAt: Date.now()
         };
+        if (ref.nonces) entry.nonces = ref.nonces;
+        if (ref.placedAt) entry.placedAt = ref.placedAt;
+        if (ref.note) entry.note = ref.note;
 
-        this.init();
+        // Новая страница и meta сначала пишутся, и только потом принимаются в памяти
+        const rollover = this.page.length >= this.pageSize;
+        const meta = rollover ? this.compact({ ...this.meta, lastPage: this.meta.lastPage + 1 }) : this.meta;
+        const page = rollover ? [entry] : [...this.page, entry];
+        const pageKey = `ledger_page_${meta.lastPage}`;
+
+        storage.write(pageKey, page);
+        try {
+            storage.write('ledger_meta', meta);
+        } catch (e) {
+            if (rollover) storage.remove(pageKey);
+            else storage.save(pageKey, this.page);
+            throw e;
+        }
+
+        for (let i = this.meta.firstPage; i < meta.firstPage; i++) {
+            storage.remove(`ledger_page_${i}`);
+        }
+        this.meta = meta;
+        this.page = page;
+        this.balance = balance;
+        this.seq = entry.seq;
+        globalBus.publish('wallet:changed', entry);
+        return entry;
     }
 
-    init() {
-        Logger.info('Panel', 'Initializing...');
-        this.bindEvents();
-        this.initHotkeys();
-        this.bindModals();
-        
-        // Подписка на события выигрыша из GameLogic (через EventBus или глобально)
-        // В нашем случае gamelogic.js вызывает UI методы напрямую, 
-        // но мы можем перехватить их через обертку, если бы писали с нуля.
-        // Для совместимости с gamelogic.js из прошлого ответа, 
-        // мы добавим хук в window.UI.
-        
-        this.setu
+    /**
+     * Свернуть самые старые страницы в opening, чтобы не упереться в квоту localStorage.
+     * Возвращает новую meta; свернутые страницы удаляет append после ее записи.
+     */
+    compact(meta) {
+        const opening = { ...meta.opening, totals: { ...meta.opening.totals } };
+        let firstPage = meta.firstPage;
+
+        while (meta.lastPage - firstPage + 1 > this.maxPages) {
+            const page = storage.load(`ledger_page_${firstPage}`) || [];
+
+            page.forEach(entry => {
+                opening.totals[entry.type] = MathUtils.roundMoney((opening.totals[entry.type] || 0) + entry.amount);
+            });
+            if (page.length) {
+                opening.seq = page[page.length - 1].seq;
+                opening.balance = page[page.length - 1].balance;
+            }
+            firstPage++;
+        }
+        return { ...meta, opening, firstPage };
+    }
+
+    /**
+     * Списание ставки: { betId, nonces, placedAt }
+     */
+    debitBet(stake, { betId, nonces, placedAt }) {
+        return this.append('bet', -stake, { betId, roundId: betId, nonce: nonces[0], nonces, placedAt });
+    }
+
+    /**
+     * Выплата одного шарика: { betId, roundId, nonce, placedAt }
+     */
+    creditPayout(payout, ref) {
+        return this.append('payout', payout, ref);
+    }
+
+    deposit(amount, note = null) {
+        if (!(amount > 0)) {
+            throw new Error('Deposit amount must be positive');
+        }
+        return this.append('deposit', amount, { note });
+    }
+
+    adjust(amount, note) {
+        return this.append('adjustment', amount, { note });
+    }
+
+    /**
+     * Возврат доли ставки за один шарик: { betId, roundId, nonce, placedAt }
+     */
+    refund(amount, ref) {
+        return this.append('refund', amount, { ...ref, note: 'Возврат ставки' });
+    }
+
+    /**
+     * Все сохраненные записи по порядку (после последнего свертывания)
+     */
+    entries() {
+        const list = [];
+        for (let i = this.meta.firstPage; i < this.meta.lastPage; i++) {
+            list.push(...(storage.load(`ledger_page_${i}`) || []));
+        }
+        return list.concat(this.page);
+    }
+
+    /**
+     * Проверка журнала: seq идут подряд, balance каждой записи равен
+     * сумме amount от opening. Возвращает { ok, balance, totals, count, errors }.
+     */
+    audit() {
+        const errors = [];
+        // Итоги старых журналов могут не знать новых типов записей
+        const totals = { ...Wallet.emptyTotals(), ...this.meta.opening.totals };
+        let balance = this.meta.opening.balance;
+        let seq = this.meta.opening.seq;
+        const entries = this.entries();
+
+        entries.forEach(entry => {
+            if (entry.seq !== seq + 1) errors.push(`#${entry.seq}: expected seq ${seq + 1}`);
+            balance = MathUtils.roundMoney(balance + entry.amount);
+            totals[entry.type] = MathUtils.roundMoney(totals[entry.type] + entry.amount);
+            if (entry.balance !== balance) errors.push(`#${entry.seq}: balance ${entry.balance}, expected ${balance}`);
+            if (balance < 0) errors.push(`#${entry.seq}: negative balance`);
+            seq = entry.seq;
+        });
+
+        if (balance !== this.balance) errors.push(`Wallet balance ${this.balance}, ledger ${balance}`);
+
+        return { ok: errors.length === 0, balance, totals, count: entries.length, errors };
+    }
+
+    /**
+     * Сверка с историей ставок: records - записи HistoryStore { id, placedAt, stake, payout }.
+     * Для каждой ставки списание должно равняться stake, сумма выплат - payout,
+     * а возвратов по ставке из истории быть не должно.
+     * 
+     * pending   - шарики ставки еще не рассчитаны (ставка в полете);
+     * refunded  - ставка закрыта возвратом, в историю она не попадает;
+     * unrecorded - ставка рассчитана, но записи в истории нет;
+     * skipped   - записи истории старше свернутых страниц журнала.
+     */
+    reconcile(records) {
+        const bets = new Map(); // betId -> { stake, payout, refund, nonces, covered }
+        const entries = this.entries();
+        entries.forEach(entry => {
+            if (!entry.betId) return;
+            if (!bets.has(entry.betId)) bets.set(entry.betId, { stake: 0, payout: 0, refund: 0, nonces: null, covered: new Set() });
+            const bet = bets.get(entry.betId);
+            if (entry.type === 'bet') {
+                bet.stake = MathUtils.roundMoney(bet.stake - entry.amount);
+                bet.nonces = entry.nonces || [entry.nonce];
+            }
+            if (entry.type === 'payout') bet.payout = MathUtils.roundMoney(bet.payout + entry.amount);
+            if (entry.type === 'refund') bet.refund = MathUtils.roundMoney(bet.refund + entry.amount);
+            if (entry.type === 'payout' || entry.type === 'refund') bet.covered.add(entry.nonce);
+        });
+
+        // Списания старше первой сохраненной записи свернуты в opening
+        const compacted = this.meta.opening.seq > 0;
+        const since = entries.length ? entries[0].createdAt : Infinity;
+
+        const mismatches = [];
+        let skipped = 0;
+        records.forEach(record => {
+            const bet = bets.get(record.id);
+            if (!bet || !bet.nonces) {
+                if (compacted && record.placedAt < since) {
+                    skipped++;
+                } else {
+                    mismatches.push({ betId: record.id, reason: 'missing' });
+                }
+                bets.delete(record.id);
+                return;
+            }
+            bets.delete(record.id);
+            if (bet.stake !== MathUtils.roundMoney(record.stake)) {
+                mismatches.push({ betId: record.id, reason: 'stake', ledger: bet.stake, history: record.stake });
+            }
+            if (bet.payout !== MathUtils.roundMoney(record.payout)) {
+                mismatches.push({ betId: record.id, reason: 'payout', ledger: bet.payout, history: record.payout });
+            }
+            if (bet.refund) {
+                mismatches.push({ betId: record.id, reason: 'refund', ledger: bet.refund, history: 0 });
+            }
+        });
+
+        const pending = [];
+        const refunded = [];
+        const unrecorded = [];
+        bets.forEach((bet, betId) => {
+            // Выплаты без списания - хвост свернутой ставки
+            if (!bet.nonces) return;
+            if (bet.nonces.some(nonce => !bet.covered.has(nonce))) pending.push(betId);
+            else if (bet.refund) refunded.push(betId);
+            else unrecorded.push(betId);
+        });
+
+        return { ok: mismatches.length === 0, mismatches, pending, refunded, unrecorded, skipped };
+    }
+}
+
+/* ==========================================================================
+   11. BET SERVICE (ACCOUNT BACKEND)
+   ========================================================================== */
+
+/**
+ * Ошибка сервиса ставок. code совпадает с ключом I18N.errors
+ * (no_funds, min_bet, max_bet, network), по нему UI выбирает текст.
+ */
+class BetServiceError extends Error {
+    constructor(code, message = code) {
+        super(message);
+        this.name = 'BetServiceError';
+        this.code = code;
+    }
+}
+
+/**
+ * Сервис ставок: баланс, ставки и сиды. PanelController и AutoBetEngine
+ * работают со счетом только через него, реализацию выбирает BetService.create.
+ * 
+ *   getBalance()                         -> Promise<number>
+ *   getSeedPair()                        -> Promise<{ clientSeed, serverSeedHash, nextServerSeedHash, nonce, archive }>
+ *   placeBet({ bet, balls, rows, risk, requestId })
+ *                                        -> Promise<{ betId, requestId, stake, balance, placedAt, outcomes, receipt? }>
+ *   getBet({ requestId })                -> Promise<ответ placeBet | null>
+ *   settle({ betId, nonce })             -> Promise<{ payout, balance }>
+ *   resolveOrphans()                     -> Promise<{ settled: [betId], refunded: [betId] }>
+ *   rotateSeed(clientSeed)               -> Promise<раскрытая пара сидов>
+ * 
+ * Все методы, кроме rotateSeed, идемпотентны: повтор placeBet с тем же
+ * requestId возвращает исходную ставку (replayed: true), повтор settle -
+ * ту же выплату без второго зачисления. Поэтому их можно повторять при
+ * ошибках сети.
+ * 
+ * outcomes - по шарику: { nonce, slotIndex, path, hash, clientSeed,
+ * serverSeedHash, multiplier, payout }. Множитель берется из ответа сервиса,
+ * а не из локальных таблиц выплат.
+ * 
+ * balance - последний известный баланс для синхронного чтения;
+ * каждое изменение публикуется в globalBus как 'balance:changed'.
+ */
+class BetService {
+    constructor() {
+        this.balance = 0;
+    }
+
+    /**
+     * Локальный сервис или адаптер к серверу по APP_CONFIG.backend.url.
+     * Адрес можно переопределить параметром ?backend= в адресе страницы.
+     */
+    static create() {
+        const override = new URLSearchParams(window.location.search).get('backend');
+        const url = override !== null ? override : APP_CONFIG.backend.url;
+        const timeoutMs = APP_CONFIG.backend.timeoutMs;
+
+        if (/^wss?:\/\//.test(url)) return new RemoteBetService(new WsTransport(url, timeoutMs));
+        if (/^https?:\/\//.test(url)) return new RemoteBetService(new HttpTransport(url, timeoutMs));
+        if (url) Logger.warn('BetService', `Unsupported backend url "${url}", using local service`);
+        return new LocalBetService();
+    }
+
+    /**
+     * Журнал кошелька (Wallet), если счет ведется в браузере
+     */
+    get wallet() {
+        return null;
+    }
+
+    updateBalance(balance) {
+        this.balance = balance;
+        globalBus.publish('balance:changed', balance);
+    }
+
+    getBalance() {
+        throw new Error('getBalance is not implemented');
+    }
+
+    getSeedPair() {
+        throw new Error('getSeedPair is not implemented');
+    }
+
+    placeBet() {
+        throw new Error('placeBet is not implemented');
+    }
+
+    getBet() {
+        throw new Error('getBet is not implemented');
+    }
+
+    settle() {
+        throw new Error('settle is not implemented');
+    }
+
+    /**
+     * Ставки, оставшиеся без расчета. Сервер рассчитывает ставку сразу,
+     * поэтому по умолчанию закрывать нечего.
+     */
+    async resolveOrphans() {
+        return { settled: [], refunded: [] };
+    }
+
+    rotateSeed() {
+        throw new Error('rotateSeed is not implemented');
+    }
+}
+
+/**
+ * Счет в браузере: журнал Wallet и сиды FairGameEngine.
+ * Исходы считаются при ставке, выплата шарика зачисляется в settle.
+ * 
+ * Ставки хранятся в localStorage (local_bets) до полного расчета и еще
+ * CLOSED_LIMIT штук после него - чтобы повтор по requestId вернул тот же ответ.
+ * Шарик сначала помечается рассчитанным и только потом зачисляется:
+ * если страница закроется между ними, выплату доначислит resolveOrphans.
+ */
+class LocalBetService extends BetService {
+    static CLOSED_LIMIT = 20;
+
+    constructor(wallet = new Wallet(), fairEngine = new FairGameEngine()) {
+        super();
+        this.ledger = wallet;
+        this.fairEngine = fairEngine;
+        // betId -> { requestId, result, settled: [nonce], closedAt }
+        this.bets = new Map(storage.load('local_bets') || []);
+        this.balance = wallet.balance;
+
+        // Пополнения и корректировки идут мимо сервиса, напрямую в журнал
+        globalBus.subscribe('wallet:changed', entry => this.updateBalance(entry.balance));
+    }
+
+    get wallet() {
+        return this.ledger;
+    }
+
+    save() {
+        const closed = [...this.bets].filter(([, record]) => record.closedAt);
+        closed.slice(0, Math.max(0, closed.length - LocalBetService.CLOSED_LIMIT))
+            .forEach(([betId]) => this.bets.delete(betId));
+
+        storage.save('local_bets', [...this.bets]);
+    }
+
+    findByRequest(requestId) {
+        for (const record of this.bets.values()) {
+            if (record.requestId === requestId) return record;
+        }
+        return null;
+    }
+
+    async getBalance() {
+        return this.ledger.balance;
+    }
+
+    async getSeedPair() {
+        return { ...this.fairEngine.getPublicSeedPair(), archive: this.fairEngine.getArchive() };
+    }
+
+    async getBet({ requestId }) {
+        const record = this.findByRequest(requestId);
+        return record ? { ...record.result, balance: this.ledger.balance } : null;
+    }
+
+    async placeBet({ bet, balls, rows, risk, requestId = null }) {
+        const known = requestId && this.findByRequest(requestId);
+        if (known) return { ...known.result, balance: this.ledger.balance, replayed: true };
+
+        // Проверки как в server/game.js - до того, как будет израсходован хоть один nonce
+        const limits = APP_CONFIG.limits;
+        const table = PayTableManager.lookup(rows, risk);
+
+        if (!table) throw new BetServiceError('invalid_settings', `No pay table for ${rows} rows / ${risk}`);
+        if (!Number.isInteger(balls) || balls < limits.ballsPerBet.min || balls > limits.ballsPerBet.max) {
+            throw new BetServiceError('invalid_settings', `Balls per bet must be ${limits.ballsPerBet.min}-${limits.ballsPerBet.max}`);
+        }
+        if (!(bet >= limits.minBet)) throw new BetServiceError('min_bet');
+        if (bet > limits.maxBet) throw new BetServiceError('max_bet');
+
+        const stake = MathUtils.roundMoney(bet * balls);
+        if (stake > this.ledger.balance) throw new BetServiceError('no_funds');
+
+        const outcomes = [];
+        for (let i = 0; i < balls; i++) {
+            const outcome = this.fairEngine.generateOutcome(rows);
+            const multiplier = table[outcome.slotIndex];
+            outcomes.push({ ...outcome, multiplier, payout: MathUtils.roundMoney(bet * multiplier) });
+        }
+        if (!outcomes.every(o => Number.isFinite(o.payout))) {
+            throw new BetServiceError('invalid_settings', `Invalid payout for ${rows} rows / ${risk}`);
+        }
+
+        const betId = Wallet.roundId(outcomes[0].serverSeedHash, outcomes[0].nonce);
+        const placedAt = Date.now();
+        const result = { betId, requestId, stake, placedAt, outcomes };
+
+        // Запись о ставке раньше списания: без нее списание стало бы сиротой
+        this.bets.set(betId, { requestId, result, settled: [], closedAt: null });
+        this.save();
+
+        let entry;
+        try {
+            entry = this.ledger.debitBet(stake, { betId, nonces: outcomes.map(o => o.nonce), placedAt });
+        } catch (e) {
+            // Списание не записано - ставки не было
+            this.bets.delete(betId);
+            this.save();
+            throw e;
+        }
+        return { ...result, balance: entry.balance };
+    }
+
+    /**
+     * Зачисление выплаты шарика. Повторный вызов возвращает ту же выплату.
+     */
+    async settle({ betId, nonce }) {
+        const record = this.bets.get(betId);
+        const outcome = record && record.result.outcomes.find(o => o.nonce === nonce);
+        if (!outcome) throw new BetServiceError('unknown_round', `Unknown round ${betId} / ${nonce}`);
+
+        if (!record.settled.includes(nonce)) {
+            record.settled.push(nonce);
+            if (record.settled.length === record.result.outcomes.length) record.closedAt = Date.now();
+            this.save();
+
+            this.ledger.creditPayout(outcome.payout, {
+                betId,
+                roundId: Wallet.roundId(outcome.serverSeedHash, nonce),
+                nonce,
+                placedAt: record.result.placedAt
+            });
+        }
+        return { payout: outcome.payout, balance: this.ledger.balance };
+    }
+
+    /**
+     * Сверка журнала со ставками: шарики, списанные без выплаты,
+     * доначисляются по известному исходу, а без исхода - возвращаются
+     * (доля ставки за шарик). Выплата или возврат закрывают шарик навсегда.
+     */
+    async resolveOrphans() {
+        const debits = new Map(); // betId -> { stake, nonces, placedAt, covered }
+        this.ledger.entries().forEach(entry => {
+            if (!entry.betId) return;
+            if (entry.type === 'bet') {
+                debits.set(entry.betId, { stake: -entry.amount, nonces: entry.nonces || [entry.nonce], placedAt: entry.placedAt, covered: new Set() });
+            }
+            if ((entry.type === 'payout' || entry.type === 'refund') && debits.has(entry.betId)) {
+                debits.get(entry.betId).covered.add(entry.nonce);
+            }
+        });
+
+        const settled = [];
+        const refunded = [];
+        for (const [betId, debit] of debits) {
+            const open = debit.nonces.filter(nonce => !debit.covered.has(nonce));
+            if (!open.length) continue;
+
+            const record = this.bets.get(betId);
+            const [hash] = betId.split(':');
+            open.forEach(nonce => {
+                const outcome = record && record.result.outcomes.find(o => o.nonce === nonce);
+                const ref = { betId, roundId: `${hash}:${nonce}`, nonce, placedAt: debit.placedAt };
+
+                if (outcome) {
+                    this.ledger.creditPayout(outcome.payout, ref);
+                } else {
+                    this.ledger.refund(MathUtils.roundMoney(debit.stake / debit.nonces.length), ref);
+                }
+            });
+
+            if (record) {
+                record.settled = record.result.outcomes.map(o => o.nonce);
+                record.closedAt = Date.now();
+                settled.push(betId);
+            } else {
+                refunded.push(betId);
+            }
+        }
+
+        if (settled.length) this.save();
+        return { settled, refunded };
+    }
+
+    async rotateSeed(clientSeed) {
+        return this.fairEngine.rotateSeeds(clientSeed);
+    }
+}
+
+/**
+ * Счет на сервере. Методы сервиса - удаленные вызовы через транспорт.
+ * 
+ * Если сервер рассчитывает ставку сразу (ответ placeBet с receipt, см.
+ * server/game.js), клиент только анимирует: подпись квитанции проверяется
+ * ключом из getServerInfo, а settle зачисляет выплату шарика на экране
+ * без запроса - на сервере она уже учтена. До приземления выплаты
+ * не показываются: balance = баланс сервера - выплаты шариков в полете.
+ */
+class RemoteBetService extends BetService {
+    constructor(transport) {
+        super();
+        this.transport = transport;
+        this.serverBalance = 0;
+        this.unrevealed = new Map(); // betId -> Map<nonce, payout>
+        this.publicKey = null; // Promise<CryptoKey>
+    }
+
+    /**
+     * Запрос с повторами при ошибке сети (пауза удваивается).
+     * Повторять можно только идемпотентные методы, rotateSeed передает retry = false.
+     */
+    async request(method, params, retry = true) {
+        const attempts = retry ? APP_CONFIG.backend.retries + 1 : 1;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.transport.request(method, params);
+            } catch (e) {
+                if (!(e instanceof BetServiceError) || e.code !== 'network' || attempt >= attempts) throw e;
+
+                Logger.warn('BetService', `${method} failed (${e.message}), retry ${attempt}/${attempts - 1}`);
+                await new Promise(resolve => setTimeout(resolve, APP_CONFIG.backend.retryDelayMs * 2 ** (attempt - 1)));
+            }
+        }
+    }
+
+    async call(method, params = {}, retry = true) {
+        const result = await this.request(method, params, retry);
+        if (result && typeof result.balance === 'number') {
+            this.serverBalance = result.balance;
+            this.syncBalance();
+        }
+        return result;
+    }
+
+    syncBalance() {
+        let hidden = 0;
+        this.unrevealed.forEach(bet => bet.forEach(payout => { hidden += payout; }));
+        this.updateBalance(MathUtils.roundMoney(this.serverBalance - hidden));
+    }
+
+    /**
+     * Ключ проверки квитанций (ECDSA P-256, SPKI в hex)
+     */
+    getPublicKey() {
+        if (!this.publicKey) {
+            this.publicKey = this.call('getServerInfo').then(info => crypto.subtle.importKey(
+                'spki',
+                CryptoEngine.hexToBytes(info.publicKey),
+                { name: 'ECDSA', namedCurve: 'P-256' },
+                false,
+                ['verify']
+            ));
+            this.publicKey.catch(() => { this.publicKey = null; });
+        }
+        return this.publicKey;
+    }
+
+    /**
+     * Квитанция должна описывать именно эту ставку и быть подписана сервером
+     */
+    async verifyReceipt({ betId, stake, outcomes, receipt }) {
+        const data = JSON.parse(receipt.payload);
+        const matches = data.betId === betId
+            && data.stake === stake
+            && data.nonces.length === outcomes.length
+            && outcomes.every((o, i) => data.nonces[i] === o.nonce
+                && data.slots[i] === o.slotIndex
+                && data.multipliers[i] === o.multiplier);
+        if (!matches) throw new BetServiceError('bad_receipt', `Receipt does not match bet ${betId}`);
+
+        // WebCrypto есть только в безопасном контексте (https, localhost)
+        if (!crypto.subtle) {
+            Logger.warn('BetService', 'WebCrypto is unavailable, receipt signature not checked');
+            return;
+        }
+
+        const valid = await crypto.subtle.verify(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            await this.getPublicKey(),
+            CryptoEngine.hexToBytes(receipt.signature),
+            new TextEncoder().encode(receipt.payload)
+        );
+        if (!valid) throw new BetServiceError('bad_receipt', `Invalid receipt signature for bet ${betId}`);
+    }
+
+    async getBalance() {
+        const { balance } = await this.call('getBalance');
+        return balance;
+    }
+
+    getSeedPair() {
+        return this.call('getSeedPair');
+    }
+
+    getBet({ requestId }) {
+        return this.call('getBet', { requestId });
+    }
+
+    async placeBet(params) {
+        const placed = await this.request('placeBet', params);
+
+        // Выплаты скрываются до приземления шариков
+        if (placed.receipt) {
+            this.unrevealed.set(placed.betId, new Map(placed.outcomes.map(o => [o.nonce, o.payout])));
+        }
+        this.serverBalance = placed.balance;
+        this.syncBalance();
+
+        if (placed.receipt) {
+            try {
+                await this.verifyReceipt(placed);
+            } catch (e) {
+                this.unrevealed.delete(placed.betId);
+                this.syncBalance();
+                throw e;
+            }
+        }
+        return placed;
+    }
+
+    async settle({ betId, nonce }) {
+        const bet = this.unrevealed.get(betId);
+        if (!bet) return this.call('settle', { betId, nonce });
+
+        if (!bet.has(nonce)) throw new BetServiceError('unknown_round', `Unknown round ${betId} / ${nonce}`);
+        const payout = bet.get(nonce);
+
+        bet.delete(nonce);
+        if (!bet.size) this.unrevealed.delete(betId);
+        this.syncBalance();
+        return { payout, balance: this.balance };
+    }
+
+    rotateSeed(clientSeed) {
+        return this.call('rotateSeed', { clientSeed }, false);
+    }
+}
+
+/**
+ * Ответ сервера: { result } или { error: { code, message } }
+ */
+function unwrapResponse(response) {
+    if (response && response.error) {
+        throw new BetServiceError(response.error.code || 'server', response.error.message);
+    }
+    if (!response || !('result' in response)) {
+        throw new BetServiceError('network', 'Malformed server response');
+    }
+    return response.result;
+}
+
+/**
+ * HTTP: POST {url}/api/{method} с JSON параметрами
+ */
+class HttpTransport {
+    constructor(url, timeoutMs) {
+        this.url = url.replace(/\/+$/, '');
+        this.timeoutMs = timeoutMs;
+    }
+
+    async request(method, params) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        let response;
+        try {
+            const res = await fetch(`${this.url}/api/${method}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(params),
+                signal: controller.signal
+            });
+            response = await res.json();
+        } catch (e) {
+            throw new BetServiceError('network', `${method}: ${e.name === 'AbortError' ? 'timeout' : e.message}`);
+        } finally {
+            clearTimeout(timer);
+        }
+        return unwrapResponse(response);
+    }
+}
+
+/**
+ * WebSocket: { id, method, params } -> { id, result } | { id, error }.
+ * Соединение открывается при первом запросе и заново после обрыва.
+ */
+class WsTransport {
+    constructor(url, timeoutMs) {
+        this.url = url;
+        this.timeoutMs = timeoutMs;
+        this.socket = null;
+        this.opening = null;
+        this.nextId = 1;
+        this.pending = new Map(); // id -> { resolve, reject, timer }
+    }
+
+    connect() {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) return Promise.resolve(this.socket);
+        if (this.opening) return this.opening;
+
+        this.opening = new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url);
+
+            socket.onopen = () => {
+                this.socket = socket;
+                this.opening = null;
+                resolve(socket);
+            };
+            socket.onmessage = (event) => this.onMessage(event.data);
+            socket.onclose = () => {
+                this.opening = null;
+                if (this.socket === socket) this.socket = null;
+                reject(new BetServiceError('network', 'WebSocket connection failed'));
+                this.rejectAll('WebSocket connection closed');
+            };
+        });
+        return this.opening;
+    }
+
+    async request(method, params) {
+        const socket = await this.connect();
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new BetServiceError('network', `${method}: timeout`));
+            }, this.timeoutMs);
+
+            this.pending.set(id, { resolve, reject, timer });
+            socket.send(JSON.stringify({ id, method, params }));
+        });
+    }
+
+    onMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (e) {
+            Logger.warn('BetService', 'Malformed WebSocket message');
+            return;
+        }
+
+        const call = this.pending.get(message.id);
+        if (!call) return;
+
+        this.pending.delete(message.id);
+        clearTimeout(call.timer);
+        try {
+            call.resolve(unwrapResponse(message));
+        } catch (e) {
+            call.reject(e);
+        }
+    }
+
+    rejectAll(reason) {
+        this.pending.forEach(call => {
+            clearTimeout(call.timer);
+            call.reject(new BetServiceError('network', reason));
+        });
+        this.pending.clear();
+    }
+}
+
+/**
+ * Ставки клиента, которые еще не рассчитаны до конца. Хранятся в localStorage
+ * и переживают перезагрузку, по ним PanelController.reconcilePending
+ * досчитывает ставки при старте.
+ * 
+ * Запись создается до запроса к сервису:
+ *   { requestId, params: { bet, balls, rows, risk }, createdAt, placed, settled }
+ * placed - ответ placeBet (null, пока ответа нет), settled - nonce
+ * шариков, выплата которых подтверждена сервисом.
+ */
+class PendingBetStore {
+    constructor() {
+        this.items = storage.load('pending_bets') || [];
+    }
+
+    save() {
+        storage.save('pending_bets', this.items);
+    }
+
+    list() {
+        return [...this.items];
+    }
+
+    get(requestId) {
+        return this.items.find(item => item.requestId === requestId) || null;
+    }
+
+    add(requestId, params) {
+        this.items.push({ requestId, params, createdAt: Date.now(), placed: null, settled: [] });
+        this.save();
+    }
+
+    setPlaced(requestId, placed) {
+        const item = this.get(requestId);
+        if (!item) return;
+
+        item.placed = placed;
+        this.save();
+    }
+
+    /**
+     * Шарик рассчитан; когда рассчитаны все, запись удаляется
+     */
+    markSettled(requestId, nonce) {
+        const item = this.get(requestId);
+        if (!item) return;
+
+        if (!item.settled.includes(nonce)) item.settled.push(nonce);
+        if (item.placed && item.settled.length >= item.placed.outcomes.length) {
+            this.remove(requestId);
+            return;
+        }
+        this.save();
+    }
+
+    remove(requestId) {
+        this.items = this.items.filter(item => item.requestId !== requestId);
+        this.save();
+    }
+}
+
+/* ==========================================================================
+   12. MAIN PANEL CONTROLLER (ORCHESTRATOR)
+   ========================================================================== */
+
+class PanelController {
+    constructor() {
+        this.validator = new InputValidator();
+        this.autoEngine = new AutoBetEngine(this);
+        this.chat = new ChatSystem();
+        this.history = new HistoryManager();
+        this.historyPage = 1; // Страница окна истории
+        this.replays = new ReplayStore();
+        this.strategies = new StrategyLibrary();
+        this.backtester = null; // Идущий бэктест
+        this.service = BetService.create();
+        this.pendingBets = new PendingBetStore();
+
+        // Ставки (группы шариков), которые еще в полете
+        this.groups = new Map();
+        this.nextGroupId = 1;
+        this.placing = 0; // Ставки, ждущие ответа сервиса
+        this.reconciling = false;
+        this.reconcileTimer = null;
+        this.reconcileAttempts = 0;
+        
+        // DOM Elements
+        this.btnPlay = document.getElementById('btn-play');
+        this.ballsInput = document.getElementById('balls-per-bet');
+        this.btnAutoStart = document.getElementById('btn-auto-start');
+        
+        this.btnHalf = document.querySelector('.btn-half');
+        this.btnDouble = document.querySelector('.btn-double');
+        
+        this.riskSelect = document.getElementById('risk-select');
+        this.rowsSelect = document.getElementById('rows-select');
+        
+        this.quickBets = document.querySelectorAll('.quick-bet-btn');
+        this.modeTabs = document.querySelectorAll('.mode-tab');
+        
+        this.modals = {
+            settings: document.getElementById('modal-settings'),
+            fairness: document.getElementById('modal-fairness')
+        };
+
+        // Баланс на экране - последний известный баланс сервиса ставок
+        globalBus.subscribe('balance:changed', balance => window.UI.setBalance(balance));
+        window.UI.setBalance(this.service.balance);
+        this.service.getBalance()
+            .then(balance => this.service.updateBalance(balance))
+            .catch(e => this.reportServiceError('Balance request failed', e));
+
+        this.init();
+    }
+
+    init() {
+        Logger.info('Panel', 'Initializing...');
+        this.bindEvents();
+        this.initHotkeys();
+        this.bindModals();
+        this.renderRowsOptions();
+        this.bindPayTableEditor();
+        this.bindGameInfo();
+        this.bindStrategyForm();
+        this.bindBacktest();
+        this.bindWallet();
+        this.bindHistory();
+        
+        // Подписка на события выигрыша из GameLogic (через EventBus или глобально)
+        // В нашем случае gamelogic.js вызывает UI методы напрямую, 
+        // но мы можем перехватить их через обертку, если бы писали с нуля.
+        // Для совместимости с gamelogic.js из прошлого ответа, 
+        // мы добавим хук в window.UI.
+        
+        this.setupGameHooks();
+        this.reconcilePending();
+        
+        Logger.info('Panel', 'Ready');
+    }
+
+    /**
+     * Привязка обработчиков к элементам управления
+     */
+    bindEvents() {
+        if (this.btnPlay) {
+            this.btnPlay.addEventListener('click', () => {
+                audioManager.play('click');
+                this.placeBet();
+            });
+        }
+
+        if (this.btnAutoStart) {
+            this.btnAutoStart.addEventListener('click', () => {
+                if (this.autoEngine.active) this.autoEngine.stop();
+                else this.autoEngine.start();
+            });
+        }
+
+        if (this.btnHalf) {
+            this.btnHalf.addEventListener('click', () => {
+                this.validator.setValue(this.validator.getCurrentValue() / 2);
+            });
+        }
+
+        if (this.btnDouble) {
+            this.btnDouble.addEventListener('click', () => {
+                this.validator.setValue(this.validator.getCurrentValue() * 2);
+            });
+        }
+
+        this.quickBets.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.validator.setValue(Utils.parseFloatSecure(btn.dataset.val));
+            });
+        });
+
+        [this.riskSelect, this.rowsSelect].forEach(select => {
+            if (select) select.addEventListener('change', () => this.onSettingsChange());
+        });
+
+        if (this.ballsInput) {
+            this.ballsInput.addEventListener('blur', () => this.getBallsPerBet());
+        }
+
+        this.modeTabs.forEach(tab => {
+            tab.addEventListener('click', () => this.setMode(tab.dataset.mode));
+        });
+    }
+
+    /**
+     * Выбор стратегии авто-режима: OnWin / OnLoss, встроенная или сохраненная.
+     * Код встроенной и сохраненной стратегии подставляется в редактор.
+     */
+    bindStrategyForm() {
+        const select = document.getElementById('auto-strategy');
+        if (!select) return;
+
+        const editor = document.getElementById('auto-script');
+        const nameInput = document.getElementById('auto-script-name');
+
+        select.addEventListener('change', () => {
+            const [kind, key] = select.value.split(':');
+            document.getElementById('auto-settings').classList.toggle('script-mode', kind !== 'basic');
+
+            if (kind === 'preset') {
+                editor.value = STRATEGY_PRESETS[key].code;
+                nameInput.value = '';
+            }
+            if (kind === 'saved') {
+                editor.value = this.strategies.get(key);
+                nameInput.value = key;
+            }
+        });
+
+        document.getElementById('auto-script-save').addEventListener('click', () => {
+            try {
+                const name = this.strategies.save(nameInput.value, editor.value);
+                this.renderStrategyOptions(`saved:${name}`);
+                Toaster.success(`Стратегия "${name}" сохранена`);
+            } catch (e) {
+                Toaster.error(e.message);
+            }
+        });
+
+        document.getElementById('auto-script-delete').addEventListener('click', () => {
+            const [kind, key] = select.value.split(':');
+            if (kind !== 'saved') return;
+
+            this.strategies.remove(key);
+            this.renderStrategyOptions('basic');
+            select.dispatchEvent(new Event('change'));
+            Toaster.info(`Стратегия "${key}" удалена`);
+        });
+
+        this.renderStrategyOptions('basic');
+    }
+
+    /**
+     * Бэктест: та же стратегия и настройки ставки, что в форме авто-режима
+     */
+    bindBacktest() {
+        const modal = window.UI.backtest;
+        if (!modal.element) return;
+
+        modal.find('#bt-run').addEventListener('click', () => {
+            if (this.backtester) this.backtester.cancel();
+            else this.runBacktest();
+        });
+        modal.onClose = () => {
+            if (this.backtester) this.backtester.cancel();
+        };
+    }
+
+    renderBacktest() {
+        const strategy = document.getElementById('auto-strategy');
+        const name = strategy ? strategy.options[strategy.selectedIndex].text : '';
+
+        window.UI.backtest.renderSummary(
+            `${name} · ставка ${Utils.formatMoney(this.validator.getCurrentValue())} x ${this.getBallsPerBet()} · ${MathConfig.rows} рядов / ${MathConfig.risk}`,
+            this.service.balance
+        );
+    }
+
+    async runBacktest() {
+        const modal = window.UI.backtest;
+        const { bets, bankroll, serverSeed, clientSeed } = modal.getParams();
+
+        if (!(bets >= 1 && bets <= APP_CONFIG.backtest.maxBets)) {
+            Toaster.error(`Ставок: от 1 до ${APP_CONFIG.backtest.maxBets}`);
+            return;
+        }
+        if (!(bankroll > 0)) {
+            Toaster.error('Укажите начальный баланс');
+            return;
+        }
+
+        this.renderBacktest();
+        this.backtester = new Backtester(this.autoEngine.readParams(), {
+            bets,
+            bankroll,
+            bet: this.validator.getCurrentValue(),
+            balls: this.getBallsPerBet(),
+            rows: MathConfig.rows,
+            risk: MathConfig.risk,
+            serverSeed,
+            clientSeed
+        });
+        modal.setRunning(true);
+
+        try {
+            const report = await this.backtester.run((done, total) => modal.renderProgress(done, total));
+            modal.renderReport(report);
+            globalBus.publish('backtest:finished', report);
+        } catch (e) {
+            Logger.error('Backtest', 'Run failed', e);
+            Toaster.error(`Бэктест: ${e.message}`);
+        } finally {
+            this.backtester = null;
+            modal.setRunning(false);
+        }
+    }
+
+    renderStrategyOptions(selected) {
+        const select = document.getElementById('auto-strategy');
+        const option = (value, text) => {
+            const el = document.createElement('option');
+            el.value = value;
+            el.textContent = text;
+            el.selected = value === selected;
+            return el;
+        };
+        const group = (label, options) => {
+            const el = document.createElement('optgroup');
+            el.label = label;
+            options.forEach(o => el.appendChild(o));
+            return el;
+        };
+
+        select.innerHTML = '';
+        select.appendChild(option('basic', 'При выигрыше / проигрыше'));
+        select.appendChild(group('Встроенные', Object.keys(STRATEGY_PRESETS)
+            .map(key => option(`preset:${key}`, STRATEGY_PRESETS[key].name))));
+
+        const saved = this.strategies.list();
+        if (saved.length) {
+            select.appendChild(group('Мои стратегии', saved.map(name => option(`saved:${name}`, name))));
+        }
+    }
+
+    /**
+     * Ручной / авто режим: в авто вместо кнопки ставки видна форма #auto-settings
+     */
+    setMode(mode) {
+        if (mode !== 'auto' && this.autoEngine.active) this.autoEngine.stop();
+
+        this.modeTabs.forEach(t => t.classList.toggle('active', t.dataset.mode === mode));
+        const panel = document.querySelector('.control-panel');
+        if (panel) panel.classList.toggle('auto-mode', mode === 'auto');
+
+        globalBus.publish('mode:changed', mode);
+    }
+
+    /**
+     * Горячие клавиши: Space - ставка
+     */
+    initHotkeys() {
+        document.addEventListener('keydown', (e) => {
+            if (!storage.load('hotkeysEnabled')) return;
+            if (e.target.matches('input, select, textarea')) return;
+
+            if (e.code === 'Space') {
+                e.preventDefault();
+                this.placeBet();
+            }
+        });
+    }
+
+    /**
+     * Модальные окна: открытие через [data-modal], действия окна "Честная игра"
+     */
+    bindModals() {
+        document.querySelectorAll('[data-modal]').forEach(btn => {
+            btn.addEventListener('click', () => this.openModal(btn.dataset.modal));
+        });
+
+        // Ссылки на реплеи из строк истории
+        globalBus.subscribe('replay:open', id => this.openReplay(id));
+
+        if (!this.modals.fairness) return;
+
+        const fairness = window.UI.fairness;
+
+        document.getElementById('btn-rotate-seed').addEventListener('click', async () => {
+            const newClientSeed = document.getElementById('fair-client-seed').value;
+            try {
+                const revealed = await this.service.rotateSeed(newClientSeed);
+                Toaster.success('Сиды обновлены, предыдущий server seed раскрыт');
+                this.history.store.reveal(revealed)
+                    .catch(e => Logger.error('History', 'Failed to store the revealed seed', e));
+                this.renderFairness();
+
+                // Сразу подставляем раскрытую пару в форму проверки
+                fairness.fillVerifyForm({
+                    serverSeed: revealed.serverSeed,
+                    clientSeed: revealed.clientSeed,
+                    nonce: revealed.nonce
+                });
+            } catch (e) {
+                this.reportServiceError('Seed rotation failed', e);
+            }
+        });
+
+        document.getElementById('btn-verify').addEventListener('click', () => {
+            try {
+                const result = FairGameEngine.verifyOutcome(fairness.getVerifyParams());
+                fairness.renderVerification(result);
+            } catch (e) {
+                fairness.renderVerification(null, e.message);
+            }
+        });
+
+        // Проверка выгрузки истории (CSV / JSON из окна "История")
+        const importText = document.getElementById('verify-import-text');
+        document.getElementById('verify-import-file').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file) importText.value = await file.text();
+        });
+        document.getElementById('btn-verify-import').addEventListener('click', () => {
+            try {
+                fairness.renderImportReport(RoundExport.verify(RoundExport.parse(importText.value)));
+            } catch (e) {
+                fairness.renderImportReport(null, e.message);
+            }
+        });
+    }
+
+    openModal(name) {
+        if (name === 'fairness') {
+            this.renderFairness();
+            window.UI.fairness.open();
+        }
+        if (name === 'replay') {
+            window.UI.replay.show();
+        }
+        if (name === 'paytable') {
+            if (!APP_CONFIG.payTables.editable) return;
+            this.renderPayTableEditor();
+            window.UI.payTable.open();
+        }
+        if (name === 'info') {
+            this.renderGameInfo();
+            window.UI.gameInfo.open();
+        }
+        if (name === 'backtest') {
+            this.renderBacktest();
+            window.UI.backtest.open();
+        }
+        if (name === 'wallet') {
+            if (!this.service.wallet) {
+                Toaster.info('Баланс ведет сервер');
+                return;
+            }
+            this.renderWallet();
+            window.UI.wallet.open();
+        }
+        if (name === 'history') {
+            this.renderHistory(1);
+            window.UI.history.open();
+        }
+    }
+
+    /**
+     * Обработчики редактора таблиц выплат
+     */
+    bindPayTableEditor() {
+        const editor = window.UI.payTable;
+        if (!editor.element) return;
+
+        if (!APP_CONFIG.payTables.editable) {
+            const button = document.getElementById('btn-paytable');
+            if (button) button.style.display = 'none';
+            return;
+        }
+
+        editor.find('#pt-rows').addEventListener('change', () => this.renderPayTableGrid());
+        editor.find('#pt-risk').addEventListener('change', () => this.renderPayTableGrid());
+
+        editor.find('#pt-apply').addEventListener('click', () => {
+            const { rows, risk } = editor.getSelection();
+            try {
+                const report = PayTableManager.applyTable(rows, risk, editor.getMultipliers());
+                this.renderRowsOptions();
+                Toaster.success(`Таблица ${rows} / ${risk} применена, RTP ${report.rtp.toFixed(2)}%`);
+            } catch (e) {
+                Toaster.error(e.message);
+            }
+        });
+
+        editor.find('#pt-reset').addEventListener('click', () => {
+            const { rows, risk } = editor.getSelection();
+            try {
+                PayTableManager.resetTable(rows, risk);
+            } catch (e) {
+                Toaster.error(e.message);
+                return;
+            }
+            this.renderRowsOptions();
+            this.renderPayTableGrid();
+            Toaster.info(`Таблица ${rows} / ${risk} сброшена`);
+        });
+
+        editor.find('#pt-ceiling-save').addEventListener('click', () => {
+            try {
+                PayTableManager.setRtpCeiling(editor.getCeiling());
+                this.updatePayTableStats();
+                Toaster.success(`Потолок RTP: ${PayTableManager.rtpCeiling}%`);
+            } catch (e) {
+                Toaster.error(e.message);
+            }
+        });
+
+        editor.find('#pt-export').addEventListener('click', () => {
+            editor.setJSON(PayTableManager.exportJSON());
+        });
+
+        editor.find('#pt-import').addEventListener('click', () => {
+            try {
+                const count = PayTableManager.importJSON(editor.getJSON());
+                this.renderRowsOptions();
+                this.renderPayTableGrid();
+                Toaster.success(`Импортировано таблиц: ${count}`);
+            } catch (e) {
+                Toaster.error(e.message);
+            }
+        });
+    }
+
+    /**
+     * Списки рядов (#rows-select, #verify-rows, фильтр истории) из APP_CONFIG.limits.rows.
+     * Вызывается при старте и после каждого изменения таблиц выплат.
+     * Если ряды игры из списка пропали, игра переходит на ближайшие оставшиеся.
+     */
+    renderRowsOptions() {
+        const rowsList = APP_CONFIG.limits.rows;
+
+        if (rowsList.length && !rowsList.includes(MathConfig.rows)) {
+            const current = MathConfig.rows;
+            const rows = rowsList.reduce((best, r) => Math.abs(r - current) < Math.abs(best - current) ? r : best);
+            Logger.warn('Panel', `No pay tables for ${current} rows, switching to ${rows}`);
+            MathConfig.configure({ rows });
+            globalBus.publish('settings:changed', { rows, risk: MathConfig.risk });
+        }
+
+        [[this.rowsSelect, true], [document.getElementById('verify-rows'), false]].forEach(([select, game]) => {
+            if (!select) return;
+
+            const previous = parseInt(select.value);
+            const selected = !game && rowsList.includes(previous) ? previous : MathConfig.rows;
+            select.innerHTML = '';
+            rowsList.forEach(rows => {
+                const option = document.createElement('option');
+                option.value = rows;
+                option.textContent = `${rows} Рядов`;
+                option.selected = rows === selected;
+                select.appendChild(option);
+            });
+        });
+        window.UI.history.renderRowsOptions(rowsList);
+    }
+
+    renderPayTableEditor() {
+        const editor = window.UI.payTable;
+
+        editor.renderRowsOptions(PayTableManager.ROWS_RANGE, MathConfig.rows);
+        editor.setSelection(MathConfig.rows, MathConfig.risk);
+        editor.setCeiling(PayTableManager.rtpCeiling);
+        this.renderPayTableGrid();
+    }
+
+    /**
+     * Сетка выбранной таблицы (новая таблица начинается с нулей)
+     */
+    renderPayTableGrid() {
+        const editor = window.UI.payTable;
+        const { rows, risk } = editor.getSelection();
+        const current = PayTables[rows] && PayTables[rows][risk];
+        const multipliers = current ? current.slice() : new Array(rows + 1).fill(0);
+
+        editor.renderGrid(multipliers, () => this.updatePayTableStats());
+        this.updatePayTableStats();
+    }
+
+    updatePayTableStats() {
+        const editor = window.UI.payTable;
+        const { rows, risk } = editor.getSelection();
+        editor.renderStats(PayTableManager.validateTable(rows, risk, editor.getMultipliers()));
+    }
+
+    /**
+     * Обработчики окна "Об игре"
+     */
+    bindGameInfo() {
+        const info = window.UI.gameInfo;
+        if (!info.element) return;
+
+        info.find('#info-rows').addEventListener('change', () => this.updateGameInfo());
+        info.find('#info-risk').addEventListener('change', () => this.updateGameInfo());
+        info.find('#info-ruin-calc').addEventListener('click', () => this.updateRuinEstimate());
+
+        // Профиль открытого окна следует за текущей таблицей (в т.ч. после правок в редакторе)
+        MathConfig.onChange(() => {
+            if (info.isOpen) this.updateGameInfo();
+        });
+    }
+
+    renderGameInfo() {
+        const info = window.UI.gameInfo;
+
+        info.renderRowsOptions(APP_CONFIG.limits.rows);
+        info.setSelection(MathConfig.rows, MathConfig.risk);
+        info.setRuinParams(this.service.balance, Store.currentBet);
+        this.updateGameInfo();
+    }
+
+    updateGameInfo() {
+        const { rows, risk } = window.UI.gameInfo.getSelection();
+        if (!MathConfig.isValid(rows, risk)) return;
+
+        window.UI.gameInfo.renderProfile(ProbabilityEngine.getProfile(rows, risk));
+        this.updateRuinEstimate();
+    }
+
+    /**
+     * Риск разорения на горизонтах APP_CONFIG.gameInfo.ruinHorizons
+     */
+    updateRuinEstimate() {
+        const info = window.UI.gameInfo;
+        const { rows, risk } = info.getSelection();
+        const { bankroll, bet } = info.getRuinParams();
+
+        if (!(bankroll > 0) || !(bet > 0) || !MathConfig.isValid(rows, risk)) {
+            info.renderRuin([]);
+            return;
+        }
+
+        const { ruinHorizons, ruinTrials } = APP_CONFIG.gameInfo;
+        info.renderRuin([...ruinHorizons, Infinity].map(bets => ({
+            bets,
+            simulated: bets === Infinity ? null
+                : ProbabilityEngine.simulateRuin(rows, risk, bankroll, bet, bets, { trials: ruinTrials }),
+            approx: ProbabilityEngine.riskOfRuin(rows, risk, bankroll, bet, bets)
+        })));
+    }
+
+    /**
+     * Открыть реплей раунда из истории
+     */
+    openReplay(id) {
+        const replay = this.replays.get(id);
+        if (!replay) {
+            Toaster.error('Реплей не найден');
+            return;
+        }
+        window.UI.replay.show(replay);
+    }
+
+    async renderFairness() {
+        const fairness = window.UI.fairness;
+
+        let seeds;
+        try {
+            seeds = await this.service.getSeedPair();
+        } catch (e) {
+            this.reportServiceError('Seed pair request failed', e);
+            return;
+        }
+
+        fairness.renderSeedPair(seeds);
+        fairness.renderArchive(seeds.archive, (pair) => {
+            fairness.fillVerifyForm({
+                serverSeed: pair.serverSeed,
+                clientSeed: pair.clientSeed,
+                nonce: pair.nonce
+            });
+        });
+    }
+
+    /**
+     * Хук на результат раунда из GameLogic (через window.UI.onBallLanded)
+     */
+    setupGameHooks() {
+        const originalHandler = window.UI.onBallLanded.bind(window.UI);
+
+        window.UI.onBallLanded = (result) => {
+            originalHandler(result);
+            this.settleRound(result);
+        };
+    }
+
+    /**
+     * Применение новых настроек рядов/риска
+     */
+    onSettingsChange() {
+        const rows = parseInt(this.rowsSelect.value);
+        const risk = this.riskSelect.value;
+
+        if (!APP_CONFIG.limits.rows.includes(rows) || !APP_CONFIG.limits.risks.includes(risk)) {
+            Logger.warn('Panel', `Invalid settings: ${rows} rows / ${risk}`);
+            return;
+        }
+
+        // GameLogic и GameMultipliers перестраиваются через MathConfig.onChange
+        MathConfig.configure({ rows, risk });
+
+        globalBus.publish('settings:changed', { rows, risk });
+    }
+
+    /**
+     * Смена рядов/риска программно (решение стратегии авто-режима)
+     */
+    applySettings({ rows, risk }) {
+        this.rowsSelect.value = rows;
+        this.riskSelect.value = risk;
+        this.onSettingsChange();
+    }
+
+    /**
+     * Шариков на ставку (1-100), значение в поле исправляется
+     */
+    getBallsPerBet() {
+        const { min, max } = APP_CONFIG.limits.ballsPerBet;
+        if (!this.ballsInput) return min;
+
+        const count = MathUtils.clamp(parseInt(this.ballsInput.value) || min, min, max);
+        this.ballsInput.value = count;
+        return count;
+    }
+
+    /**
+     * Окно кошелька: пополнение демо-счета и журнал операций
+     */
+    bindWallet() {
+        const modal = window.UI.wallet;
+        if (!modal.element) return;
+
+        modal.find('#wallet-deposit').addEventListener('click', () => {
+            this.service.wallet.deposit(APP_CONFIG.wallet.topUpAmount, 'Пополнение');
+            Toaster.success(`Баланс пополнен на ${Utils.formatMoney(APP_CONFIG.wallet.topUpAmount)}`);
+            this.renderWallet();
+        });
+    }
+
+    async renderWallet() {
+        const modal = window.UI.wallet;
+        const wallet = this.service.wallet;
+        modal.renderAudit(wallet.audit());
+        modal.renderEntries(wallet.entries().slice(-APP_CONFIG.wallet.recentEntries).reverse());
+
+        try {
+            const { items } = await this.history.store.query({}, { pageSize: Infinity });
+            modal.renderReconcile(wallet.reconcile(items));
+        } catch (error) {
+            Logger.error('Wallet', 'Reconcile failed', error);
+            modal.renderReconcile(null);
+        }
+    }
+
+    /**
+     * Окно истории: фильтры и листание страниц
+     */
+    bindHistory() {
+        const modal = window.UI.history;
+        if (!modal.element) return;
+
+        modal.find('#history-apply').addEventListener('click', () => this.renderHistory(1));
+        modal.find('#history-prev').addEventListener('click', () => this.renderHistory(this.historyPage - 1));
+        modal.find('#history-next').addEventListener('click', () => this.renderHistory(this.historyPage + 1));
+
+        modal.element.querySelectorAll('[data-history-day]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                modal.setDay(parseInt(btn.dataset.historyDay));
+                this.renderHistory(1);
+            });
+        });
+        modal.find('#history-export-csv').addEventListener('click', () => this.exportHistory('csv'));
+        modal.find('#history-export-json').addEventListener('click', () => this.exportHistory('json'));
+        modal.find('#history-reset').addEventListener('click', () => {
+            modal.element.querySelectorAll('.fair-input').forEach(input => { input.value = ''; });
+            this.renderHistory(1);
+        });
+    }
+
+    async renderHistory(page) {
+        this.historyPage = Math.max(1, page);
+        try {
+            const result = await this.history.store.query(window.UI.history.getFilter(), { page: this.historyPage });
+            window.UI.history.renderPage(result);
+        } catch (e) {
+            Logger.error('History', 'Query failed', e);
+            Toaster.error('Не удалось загрузить историю');
+        }
+    }
+
+    /**
+     * Выгрузка ставок текущего фильтра по раундам с данными для проверки.
+     * Раскрытый server seed берется из записи истории (HistoryStore.reveal),
+     * а для ставок, сыгранных до его появления там, - из архива сидов
+     * сервиса (последние FairGameEngine.ARCHIVE_LIMIT ротаций).
+     */
+    async exportHistory(format) {
+        try {
+            const { items } = await this.history.store.query(window.UI.history.getFilter(), { pageSize: Infinity });
+            if (!items.length) {
+                Toaster.info(window.UI.t('history.empty'));
+                return;
+            }
+
+            const { archive } = await this.service.getSeedPair();
+            const rounds = RoundExport.fromRecords(items, archive);
+            const date = new Date().toISOString().slice(0, 10);
+
+            if (format === 'csv') {
+                Utils.downloadFile(`plinko-history-${date}.csv`, RoundExport.toCSV(rounds), 'text/csv');
+            } else {
+                Utils.downloadFile(`plinko-history-${date}.json`, RoundExport.toJSON(rounds), 'application/json');
+            }
+            Toaster.success(`Выгружено раундов: ${rounds.length}`);
+        } catch (e) {
+            this.reportServiceError('History export failed', e);
+        }
+    }
+
+    /**
+     * Размещение ставки: проверка, запрос к сервису ставок и запуск шариков.
+     * Каждый шарик - отдельный раунд со своим nonce, вся ставка - одна группа.
+     * Исходы и множители приходят от сервиса вместе с betId группы.
+     * Возвращает Promise<true>, если ставка принята.
+     */
+    async placeBet({ instant = false, tag = null } = {}) {
+        const bet = this.validator.getCurrentValue();
+        const balls = this.getBallsPerBet();
+        const stake = MathUtils.roundMoney(bet * balls);
+
+        // Быстрая проверка до запроса, окончательно решает сервис
+        if (bet < APP_CONFIG.limits.minBet) {
+            Toaster.error(window.UI.t('errors.min_bet'));
+            return false;
+        }
+        if (bet > APP_CONFIG.limits.maxBet) {
+            Toaster.error(window.UI.t('errors.max_bet'));
+            return false;
+        }
+        if (stake > this.service.balance) {
+            Toaster.error(window.UI.t('errors.no_funds'));
+            audioManager.play('error');
+            return false;
+        }
+
+        const params = { bet, balls, rows: GameLogic.currentRowCount, risk: GameLogic.currentRisk };
+        const { rows, risk } = params;
+
+        // Id запроса сохраняется до отправки: повторы и сверка после
+        // перезагрузки опираются на него и не спишут ставку дважды
+        const requestId = Utils.generateUUID();
+        this.pendingBets.add(requestId, params);
+
+        let placed;
+        this.placing++;
+        try {
+            placed = await this.service.placeBet({ ...params, requestId });
+        } catch (e) {
+            // После ошибки сети ставка могла дойти до сервиса - ее судьбу решит сверка
+            if (e instanceof BetServiceError && e.code === 'network') this.scheduleReconcile();
+            else this.pendingBets.remove(requestId);
+            this.reportServiceError('Bet failed', e);
+            return false;
+        } finally {
+            this.placing--;
+        }
+        this.pendingBets.setPlaced(requestId, placed);
+
+        const { betId, outcomes } = placed;
+        const receipt = placed.receipt || null;
+        const { serverSeedHash, clientSeed } = outcomes[0];
+        const group = { id: this.nextGroupId++, betId, requestId, receipt, placedAt: placed.placedAt, serverSeedHash, clientSeed, bet, balls, stake, rows, risk, instant, tag, results: [] };
+        const stagger = Math.round(APP_CONFIG.multiBall.staggerMs / 1000 / GameLogic.step);
+
+        this.groups.set(group.id, group);
+
+        if (!instant) {
+            outcomes.forEach((outcome, i) => {
+                GameLogic.spawnBall(bet, { ...outcome, rows, risk, groupId: group.id }, i * stagger);
+            });
+            audioManager.play('drop');
+        }
+
+        globalBus.publish('bet:placed', { groupId: group.id, betId, bet, balls, stake, rows, risk, nonces: outcomes.map(o => o.nonce) });
+
+        // Мгновенная ставка: без шариков и реплеев, расчет сразу по порядку nonce
+        if (instant) {
+            for (const outcome of outcomes) {
+                GameLogic.flashBucket(outcome.slotIndex, outcome.multiplier);
+                await this.settleRound({
+                    ballId: null,
+                    bet,
+                    multiplier: outcome.multiplier,
+                    payout: outcome.payout,
+                    slotIndex: outcome.slotIndex,
+                    nonce: outcome.nonce,
+                    rows,
+                    risk,
+                    groupId: group.id,
+                    replay: null
+                });
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Расчет шарика после приземления: выплата зачисляется сервисом сразу,
+     * итог ставки (история, авто-ставки) - когда упадет последний шарик группы.
+     * Если зачисление не прошло, шарик помечается unsettled, а авто-ставки останавливаются;
+     * ставка остается в PendingBetStore, ее досчитает отложенная сверка (scheduleReconcile).
+     */
+    async settleRound(result) {
+        const group = this.groups.get(result.groupId);
+        if (!group) {
+            Logger.warn('Panel', `Ball settled for unknown bet group ${result.groupId}`);
+            return;
+        }
+
+        let unsettled = false;
+        try {
+            const settled = await this.service.settle({ betId: group.betId, nonce: result.nonce });
+            result = { ...result, payout: settled.payout };
+            this.pendingBets.markSettled(group.requestId, result.nonce);
+        } catch (e) {
+            unsettled = true;
+            this.reportServiceError('Settle failed', e);
+            this.scheduleReconcile();
+            if (this.autoEngine.active) this.autoEngine.stop();
+        }
+
+        const replayId = result.replay ? this.replays.add(result.replay) : null;
+        globalBus.publish('ball:settled', { ...result, unsettled });
+
+        group.results.push({
+            nonce: result.nonce,
+            slotIndex: result.slotIndex,
+            multiplier: result.multiplier,
+            payout: result.payout,
+            unsettled,
+            replayId
+        });
+
+        if (group.results.length < group.balls) return;
+
+        this.groups.delete(group.id);
+        this.finishGroup(group);
+    }
+
+    /**
+     * Сверка при старте и после ошибок сети. Ставки из PendingBetStore
+     * досчитываются без анимации (повторный settle безопасен); ставки,
+     * не дошедшие до сервиса, забываются. Затем сервис закрывает ставки,
+     * о которых клиент не знает (resolveOrphans).
+     * 
+     * Ошибка сети прерывает сверку и откладывает ее (scheduleReconcile).
+     * Ставку с любой другой ошибкой (unknown_round, bad_receipt...) сервис
+     * уже не досчитает - она убирается из очереди, сверка идет дальше.
+     */
+    async reconcilePending({ retry = false } = {}) {
+        if (this.reconciling) return;
+        this.reconciling = true;
+        let recovered = 0;
+
+        try {
+            for (const item of this.pendingBets.list()) {
+                // Ставка еще в работе у placeBet/settleRound - ее досчитают они
+                const live = [...this.groups.values()].some(group => group.requestId === item.requestId);
+                if (live || (!item.placed && this.placing)) continue;
+
+                try {
+                    if (await this.recoverPending(item)) recovered++;
+                } catch (e) {
+                    if (e instanceof BetServiceError && e.code === 'network') {
+                        // Сервис недоступен - повторим позже
+                        if (retry) Logger.warn('Panel', 'Pending bet reconciliation postponed', e);
+                        else this.reportServiceError('Pending bet reconciliation failed', e);
+                        this.scheduleReconcile();
+                        return;
+                    }
+                    this.pendingBets.remove(item.requestId);
+                    this.reportServiceError(`Pending bet ${item.requestId} dropped`, e);
+                }
+            }
+
+            try {
+                const orphans = await this.service.resolveOrphans();
+                recovered += orphans.settled.length;
+                if (orphans.refunded.length) {
+                    Toaster.info(`Возвращены ставки без исхода: ${orphans.refunded.length}`);
+                }
+            } catch (e) {
+                this.reportServiceError('Orphan bets check failed', e);
+                if (e instanceof BetServiceError && e.code === 'network') this.scheduleReconcile();
+            }
+        } finally {
+            this.reconciling = false;
+        }
+
+        this.reconcileAttempts = 0;
+        if (recovered) Toaster.info(`Досчитаны незавершенные ставки: ${recovered}`);
+        if (retry) {
+            this.service.getBalance()
+                .then(balance => this.service.updateBalance(balance))
+                .catch(e => Logger.warn('Panel', 'Balance refresh failed', e));
+        }
+    }
+
+    /**
+     * Досчитать одну ставку из PendingBetStore. false - ставка не дошла до сервиса.
+     */
+    async recoverPending(item) {
+        const placed = item.placed || await this.service.getBet({ requestId: item.requestId });
+        if (!placed) {
+            this.pendingBets.remove(item.requestId);
+            return false;
+        }
+        if (!item.placed) this.pendingBets.setPlaced(item.requestId, placed);
+
+        const results = [];
+        for (const outcome of placed.outcomes) {
+            const settled = await this.service.settle({ betId: placed.betId, nonce: outcome.nonce });
+            this.pendingBets.markSettled(item.requestId, outcome.nonce);
+            results.push({
+                nonce: outcome.nonce,
+                slotIndex: outcome.slotIndex,
+                multiplier: outcome.multiplier,
+                payout: settled.payout,
+                unsettled: false,
+                replayId: null
+            });
+        }
+
+        const { bet, balls, rows, risk } = item.params;
+        this.finishGroup({
+            id: this.nextGroupId++,
+            betId: placed.betId,
+            requestId: item.requestId,
+            receipt: placed.receipt || null,
+            placedAt: placed.placedAt,
+            serverSeedHash: placed.outcomes[0].serverSeedHash,
+            clientSeed: placed.outcomes[0].clientSeed,
+            bet, balls, rows, risk,
+            stake: placed.stake,
+            instant: true,
+            tag: null,
+            results
+        });
+        return true;
+    }
+
+    /**
+     * Отложенная сверка после ошибки сети: пауза от reconcileDelayMs
+     * удваивается с каждой неудачей, но не дольше reconcileMaxDelayMs.
+     * Без нее баланс и незавершенные ставки ждали бы перезагрузки страницы.
+     */
+    scheduleReconcile() {
+        if (this.reconcileTimer) return;
+
+        const { reconcileDelayMs, reconcileMaxDelayMs } = APP_CONFIG.backend;
+        const delay = Math.min(reconcileDelayMs * 2 ** this.reconcileAttempts, reconcileMaxDelayMs);
+        this.reconcileAttempts++;
+        this.reconcileTimer = setTimeout(() => {
+            this.reconcileTimer = null;
+            this.reconcilePending({ retry: true });
+        }, delay);
+    }
+
+    /**
+     * Ошибка сервиса ставок: текст по коду из I18N.errors (в том числе network),
+     * для неизвестных кодов - сообщение ошибки
+     */
+    reportServiceError(context, error) {
+        Logger.error('BetService', context, error);
+
+        const key = error instanceof BetServiceError ? `errors.${error.code}` : null;
+        const text = key && window.UI.t(key);
+        Toaster.error(text && text !== key ? text : error.message);
+        if (key === 'errors.no_funds') audioManager.play('error');
+    }
+
+    /**
+     * Итог ставки: одна запись в истории с разбивкой по шарикам
+     */
+    finishGroup(group) {
+        const results = group.results.sort((a, b) => a.nonce - b.nonce);
+        const payout = MathUtils.roundMoney(results.reduce((sum, r) => sum + r.payout, 0));
+        const multiplier = group.balls === 1
+            ? results[0].multiplier
+            : MathUtils.roundMoney(payout / group.stake);
+        const win = payout > group.stake;
+
+        this.history.addRecord({
+            betId: group.betId,
+            bet: group.stake,
+            multiplier,
+            payout,
+            win,
+            replayId: group.balls === 1 ? results[0].replayId : null,
+            balls: group.balls > 1 ? results : null
+        });
+        this.history.save({
+            id: group.betId,
+            placedAt: group.placedAt,
+            bet: group.bet,
+            balls: group.balls,
+            stake: group.stake,
+            rows: group.rows,
+            risk: group.risk,
+            serverSeedHash: group.serverSeedHash,
+            clientSeed: group.clientSeed,
+            nonce: results[0].nonce,
+            slotIndex: group.balls === 1 ? results[0].slotIndex : null,
+            multiplier,
+            payout,
+            win,
+            results: results.map(({ nonce, slotIndex, multiplier, payout }) => ({ nonce, slotIndex, multiplier, payout }))
+        });
+
+        // Мгновенные ставки идут потоком: без попапа и звука, хватает вспышки слота
+        if (!group.instant) {
+            window.UI.showWin(payout, multiplier);
+            if (win) audioManager.play('win');
+        }
+
+        this.autoEngine.processResult(payout, group.stake, {
+            tag: group.tag,
+            maxMultiplier: Math.max(...results.map(r => r.multiplier)),
+            bet: group.bet,
+            balls: group.balls,
+            multiplier,
+            rows: group.rows,
+            risk: group.risk
+        });
+        globalBus.publish('round:settled', {
+            groupId: group.id,
+            betId: group.betId,
+            receipt: group.receipt,
+            bet: group.bet,
+            balls: group.balls,
+            stake: group.stake,
+            rows: group.rows,
+            risk: group.risk,
+            payout,
+            multiplier,
+            win,
+            results
+        });
+    }
+}
+
+/* ==========================================================================
+   13. BOOTSTRAP
+   ========================================================================== */
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.Panel = new PanelController();
+});
@@ -0,0 +1,408 @@
+/**
+ * ============================================================================
+ * PLINKO X - REFERENCE GAME SERVER (STATE & SETTLEMENT)
+ * ============================================================================
+ *
+ * Сервер сам ведет server seed, nonce и баланс игрока. Клиент присылает
+ * только параметры ставки, а получает готовые исходы шариков и подписанную
+ * квитанцию: ставка рассчитывается (выплата зачисляется) в момент приема,
+ * клиенту остается лишь анимировать падение.
+ *
+ * Исходы считает тот же FairGameEngine.computeOutcome, что и в браузере
+ * (mathematics.js через tools/engine.js), поэтому после ротации сидов любой
+ * раунд проверяется обычной формой "Честная игра".
+ *
+ * Квитанция: { payload, signature, keyId }. payload - JSON строка с итогом
+ * ставки, signature - ECDSA P-256 / SHA-256 в формате r||s (hex), его же
+ * проверяет WebCrypto. Открытый ключ (SPKI DER, hex) отдает getServerInfo.
+ *
+ * Прием ставки идемпотентен: по requestId клиента хранится компактная
+ * запись ставки (последние BET_HISTORY_LIMIT): nonce, слоты, множители,
+ * выплаты и квитанция. Повтор запроса возвращает ту же ставку с replayed: true
+ * и текущим балансом, пути шариков пересчитываются computeOutcome по сиду
+ * из текущей пары или архива.
+ *
+ * Журнал операций хранит последние LEDGER_LIMIT записей, более старые
+ * сворачиваются в opening (остаток и итоги по типам).
+ *
+ * Сервер однопользовательский: один счет и одна пара сидов на файл состояния.
+ * ============================================================================
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { loadEngine } = require('../tools/engine');
+
+const LIMITS = {
+    minBet: 0.10,
+    maxBet: 1000.00,
+    balls: { min: 1, max: 100 }
+};
+
+const ARCHIVE_LIMIT = 100;
+const BET_HISTORY_LIMIT = 200; // Файл состояния переписывается на каждую ставку
+const LEDGER_LIMIT = 10000; // Записей журнала в файле состояния
+const LEDGER_PAGE = 1000; // Сколько старых записей сворачивается за раз
+
+/**
+ * Ошибка запроса: code уходит клиенту и совпадает с ключами I18N.errors
+ */
+class GameError extends Error {
+    constructor(code, message = code) {
+        super(message);
+        this.name = 'GameError';
+        this.code = code;
+    }
+}
+
+class GameServer {
+    /**
+     * @param {object} options - { dataFile, initialBalance, keyFile }
+     *   dataFile - JSON с состоянием (null - только в памяти)
+     *   keyFile  - PEM закрытого ключа подписи (null - рядом с dataFile или новый в памяти)
+     */
+    constructor({ dataFile = null, initialBalance = 20000, keyFile = null } = {}) {
+        this.engine = loadEngine(['mathematics.js']);
+        this.dataFile = dataFile;
+        this.initialBalance = initialBalance;
+        this.keyFile = keyFile || (dataFile ? `${dataFile}.key.pem` : null);
+
+        this.loadKey();
+        this.load();
+    }
+
+    /* ----------------------------------------------------------------------
+       Ключ подписи и хранение
+       ---------------------------------------------------------------------- */
+
+    loadKey() {
+        if (this.keyFile && fs.existsSync(this.keyFile)) {
+            this.privateKey = crypto.createPrivateKey(fs.readFileSync(this.keyFile, 'utf8'));
+        } else {
+            this.privateKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey;
+            if (this.keyFile) {
+                fs.writeFileSync(this.keyFile, this.privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+            }
+        }
+
+        const publicKey = crypto.createPublicKey(this.privateKey);
+        this.publicKeyHex = publicKey.export({ type: 'spki', format: 'der' }).toString('hex');
+        this.keyId = crypto.createHash('sha256').update(this.publicKeyHex).digest('hex').slice(0, 16);
+    }
+
+    load() {
+        if (this.dataFile && fs.existsSync(this.dataFile)) {
+            this.state = { bets: [], opening: GameServer.emptyOpening(), ...JSON.parse(fs.readFileSync(this.dataFile, 'utf8')) };
+            // Старые файлы хранили ставки с полными исходами
+            this.state.bets = this.state.bets.map(bet => (bet.outcomes ? GameServer.indexBet(bet, JSON.parse(bet.receipt.payload).rows) : bet));
+            return;
+        }
+
+        const { FairGameEngine } = this.engine;
+        this.state = {
+            balance: 0,
+            seq: 0,
+            opening: GameServer.emptyOpening(), // Итоги свернутых записей журнала
+            ledger: [],
+            seeds: {
+                clientSeed: FairGameEngine.generateClientSeed(),
+                serverSeed: FairGameEngine.generateServerSeed(),
+                nextServerSeed: FairGameEngine.generateServerSeed(),
+                nonce: 0
+            },
+            archive: [],
+            bets: [] // Компактные записи ставок (indexBet), новые в конце
+        };
+        this.append('deposit', this.initialBalance, { note: 'initial' });
+    }
+
+    /**
+     * Атомарная запись: временный файл + rename
+     */
+    save() {
+        if (!this.dataFile) return;
+        const tmp = `${this.dataFile}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.state));
+        fs.renameSync(tmp, this.dataFile);
+    }
+
+    /**
+     * Запись журнала, формат как у Wallet в panel.js
+     */
+    append(type, amount, ref = {}) {
+        const { MathUtils } = this.engine;
+        const balance = MathUtils.roundMoney(this.state.balance + amount);
+
+        const entry = { seq: ++this.state.seq, type, amount: MathUtils.roundMoney(amount), balance, createdAt: Date.now(), ...ref };
+        this.state.ledger.push(entry);
+        this.state.balance = balance;
+        this.compact();
+        return entry;
+    }
+
+    static emptyOpening() {
+        return { seq: 0, balance: 0, totals: {} };
+    }
+
+    /**
+     * Свернуть старые записи журнала в opening - остаток и итоги по типам,
+     * как Wallet.compact в panel.js. Файл состояния переписывается на каждую
+     * ставку, поэтому журнал в нем не должен расти без предела.
+     */
+    compact() {
+        const ledger = this.state.ledger;
+        if (ledger.length <= LEDGER_LIMIT) return;
+
+        const { MathUtils } = this.engine;
+        const opening = this.state.opening;
+        const folded = ledger.splice(0, Math.max(LEDGER_PAGE, ledger.length - LEDGER_LIMIT));
+        folded.forEach(entry => {
+            opening.totals[entry.type] = MathUtils.roundMoney((opening.totals[entry.type] || 0) + entry.amount);
+        });
+        opening.seq = folded[folded.length - 1].seq;
+        opening.balance = folded[folded.length - 1].balance;
+    }
+
+    sign(payload) {
+        return crypto.sign('sha256', Buffer.from(payload), { key: this.privateKey, dsaEncoding: 'ieee-p1363' }).toString('hex');
+    }
+
+    /* ----------------------------------------------------------------------
+       Методы API (имена совпадают с BetService в panel.js)
+       ---------------------------------------------------------------------- */
+
+    getServerInfo() {
+        return { keyId: this.keyId, publicKey: this.publicKeyHex, algorithm: 'ECDSA-P256-SHA256', limits: LIMITS };
+    }
+
+    getBalance() {
+        return { balance: this.state.balance };
+    }
+
+    getSeedPair() {
+        const { FairGameEngine } = this.engine;
+        const seeds = this.state.seeds;
+        return {
+            clientSeed: seeds.clientSeed,
+            serverSeedHash: FairGameEngine.hashServerSeed(seeds.serverSeed),
+            nextServerSeedHash: FairGameEngine.hashServerSeed(seeds.nextServerSeed),
+            nonce: seeds.nonce,
+            archive: this.state.archive
+        };
+    }
+
+    /**
+     * Компактная запись ставки для state.bets: без путей шариков,
+     * их восстанавливает expandBet
+     */
+    static indexBet({ betId, requestId, stake, payout, placedAt, outcomes, receipt }, rows) {
+        return {
+            betId,
+            requestId,
+            rows,
+            stake,
+            payout,
+            placedAt,
+            serverSeedHash: outcomes[0].serverSeedHash,
+            clientSeed: outcomes[0].clientSeed,
+            nonces: outcomes.map(o => o.nonce),
+            slots: outcomes.map(o => o.slotIndex),
+            multipliers: outcomes.map(o => o.multiplier),
+            payouts: outcomes.map(o => o.payout),
+            receipt
+        };
+    }
+
+    /**
+     * Server seed по хешу: текущий или из архива (null - уже вытеснен)
+     */
+    findServerSeed(serverSeedHash) {
+        const { FairGameEngine } = this.engine;
+        if (FairGameEngine.hashServerSeed(this.state.seeds.serverSeed) === serverSeedHash) return this.state.seeds.serverSeed;
+        const revealed = this.state.archive.find(entry => entry.serverSeedHash === serverSeedHash);
+        return revealed ? revealed.serverSeed : null;
+    }
+
+    /**
+     * Ответ placeBet из компактной записи: исходы пересчитываются computeOutcome
+     */
+    expandBet(record) {
+        const { FairGameEngine } = this.engine;
+        const serverSeed = this.findServerSeed(record.serverSeedHash);
+        if (!serverSeed) return null;
+
+        const outcomes = record.nonces.map((nonce, i) => ({
+            ...FairGameEngine.computeOutcome(serverSeed, record.clientSeed, nonce, record.rows),
+            nonce,
+            clientSeed: record.clientSeed,
+            serverSeedHash: record.serverSeedHash,
+            multiplier: record.multipliers[i],
+            payout: record.payouts[i]
+        }));
+        const { betId, requestId, stake, payout, placedAt, receipt } = record;
+        return { betId, requestId, stake, payout, placedAt, outcomes, receipt };
+    }
+
+    findBet(predicate) {
+        const record = this.state.bets.find(predicate);
+        const bet = record && this.expandBet(record);
+        return bet ? { ...bet, balance: this.state.balance } : null;
+    }
+
+    getBet({ requestId }) {
+        return requestId ? this.findBet(b => b.requestId === requestId) : null;
+    }
+
+    /**
+     * Прием и расчет ставки. Возвращает исходы, итоговый баланс и квитанцию.
+     * requestId - id запроса клиента для повторов (необязательно).
+     */
+    placeBet({ bet, balls = 1, rows, risk, requestId = null }) {
+        const { FairGameEngine, PayTableManager, MathUtils } = this.engine;
+
+        if (requestId !== null && (typeof requestId !== 'string' || !requestId || requestId.length > 64)) {
+            throw new GameError('invalid_request', 'requestId must be a non-empty string up to 64 characters');
+        }
+        const known = this.getBet({ requestId });
+        if (known) return { ...known, replayed: true };
+
+        bet = MathUtils.roundMoney(Number(bet));
+        balls = Number(balls);
+        rows = Number(rows);
+
+        const table = PayTableManager.lookup(rows, risk);
+        if (!table) throw new GameError('invalid_settings', `No pay table for ${rows} rows / ${risk}`);
+        if (!Number.isInteger(balls) || balls < LIMITS.balls.min || balls > LIMITS.balls.max) {
+            throw new GameError('invalid_settings', `Balls per bet must be ${LIMITS.balls.min}-${LIMITS.balls.max}`);
+        }
+        if (!(bet >= LIMITS.minBet)) throw new GameError('min_bet');
+        if (bet > LIMITS.maxBet) throw new GameError('max_bet');
+
+        const stake = MathUtils.roundMoney(bet * balls);
+        if (stake > this.state.balance) throw new GameError('no_funds');
+
+        const seeds = this.state.seeds;
+        const serverSeedHash = FairGameEngine.hashServerSeed(seeds.serverSeed);
+        const outcomes = [];
+        for (let i = 0; i < balls; i++) {
+            const nonce = seeds.nonce + i + 1;
+            const outcome = FairGameEngine.computeOutcome(seeds.serverSeed, seeds.clientSeed, nonce, rows);
+            const multiplier = table[outcome.slotIndex];
+            outcomes.push({
+                ...outcome,
+                nonce,
+                clientSeed: seeds.clientSeed,
+                serverSeedHash,
+                multiplier,
+                payout: MathUtils.roundMoney(bet * multiplier)
+            });
+        }
+
+        const betId = `${serverSeedHash.slice(0, 16)}:${outcomes[0].nonce}`;
+        const placedAt = Date.now();
+        const nonces = outcomes.map(o => o.nonce);
+        const payout = MathUtils.roundMoney(outcomes.reduce((sum, o) => sum + o.payout, 0));
+
+        // NaN в балансе сохранился бы как null и заблокировал счет
+        if (!outcomes.every(o => Number.isFinite(o.payout))) {
+            throw new GameError('invalid_settings', `Invalid payout for ${rows} rows / ${risk}`);
+        }
+        seeds.nonce += balls;
+
+        this.append('bet', -stake, { betId, roundId: betId, nonce: nonces[0], nonces, placedAt });
+        outcomes.forEach(o => {
+            this.append('payout', o.payout, { betId, roundId: `${serverSeedHash.slice(0, 16)}:${o.nonce}`, nonce: o.nonce, placedAt });
+        });
+
+        const payload = JSON.stringify({
+            betId,
+            requestId,
+            bet,
+            balls,
+            rows,
+            risk,
+            stake,
+            payout,
+            balance: this.state.balance,
+            serverSeedHash,
+            clientSeed: seeds.clientSeed,
+            nonces,
+            slots: outcomes.map(o => o.slotIndex),
+            multipliers: outcomes.map(o => o.multiplier),
+            placedAt
+        });
+
+        const result = {
+            betId,
+            requestId,
+            stake,
+            payout,
+            placedAt,
+            outcomes,
+            receipt: { payload, signature: this.sign(payload), keyId: this.keyId }
+        };
+        this.state.bets = [...this.state.bets, GameServer.indexBet(result, rows)].slice(-BET_HISTORY_LIMIT);
+        this.save();
+
+        return { ...result, balance: this.state.balance };
+    }
+
+    /**
+     * Подтверждение шарика. Выплата зачислена еще в placeBet, поэтому
+     * вызов ничего не меняет и годится для повторов и сверки клиента.
+     */
+    settle({ betId, nonce }) {
+        const bet = this.state.bets.find(b => b.betId === betId);
+        const index = bet ? bet.nonces.indexOf(Number(nonce)) : -1;
+        if (index < 0) throw new GameError('unknown_round', `Unknown round ${betId} / ${nonce}`);
+
+        return { payout: bet.payouts[index], balance: this.state.balance };
+    }
+
+    /**
+     * Ротация: раскрыть текущий server seed, следующий сделать активным
+     */
+    rotateSeed({ clientSeed = null } = {}) {
+        const { FairGameEngine } = this.engine;
+        const seeds = this.state.seeds;
+        const nextClientSeed = clientSeed !== null ? String(clientSeed).trim() : seeds.clientSeed;
+        if (!nextClientSeed) throw new GameError('invalid_settings', 'Client seed must not be empty');
+
+        const revealed = {
+            serverSeed: seeds.serverSeed,
+            serverSeedHash: FairGameEngine.hashServerSeed(seeds.serverSeed),
+            clientSeed: seeds.clientSeed,
+            nonce: seeds.nonce,
+            revealedAt: Date.now()
+        };
+
+        this.state.archive = [revealed, ...this.state.archive].slice(0, ARCHIVE_LIMIT);
+        this.state.seeds = {
+            clientSeed: nextClientSeed,
+            serverSeed: seeds.nextServerSeed,
+            nextServerSeed: FairGameEngine.generateServerSeed(),
+            nonce: 0
+        };
+        // Ставки на вытесненных из архива сидах уже не восстановить
+        const kept = new Set(this.state.archive.map(entry => entry.serverSeedHash));
+        this.state.bets = this.state.bets.filter(bet => kept.has(bet.serverSeedHash));
+        this.save();
+        return revealed;
+    }
+
+    /**
+     * Выполнить метод API по имени. Имена без метода в API_METHODS недоступны.
+     */
+    call(method, params) {
+        if (!GameServer.API_METHODS.includes(method)) {
+            throw new GameError('unknown_method', `Unknown method: ${method}`);
+        }
+        return this[method](params || {});
+    }
+}
+
+GameServer.API_METHODS = ['getServerInfo', 'getBalance', 'getSeedPair', 'placeBet', 'getBet', 'settle', 'rotateSeed'];
+
+module.exports = { GameServer, GameError, LIMITS };
@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * PLINKO X - REFERENCE GAME SERVER (CLI)
+ * ============================================================================
+ *
+ * Локальный сервер для режима, в котором счет, сиды и расчет ставок
+ * принадлежат серверу (см. server/game.js). Зависимостей нет, только Node.
+ *
+ * Usage:
+ *   node server/server.js --port 8787 --data ~/.plinko-server.json
+ *   open http://localhost:8787/?backend=http://localhost:8787
+ *   open http://localhost:8787/?backend=ws://localhost:8787
+ *
+ * Options:
+ *   --port      Порт HTTP и WebSocket                       [8787]
+ *   --host      Адрес                                       [127.0.0.1]
+ *   --data      Файл состояния (без него - только в памяти)
+ *   --key       PEM ключа подписи квитанций                 [<data>.key.pem]
+ *   --balance   Стартовый баланс нового счета               [20000]
+ *   --origin    Еще адреса страницы игры через запятую (http://host:port)
+ *
+ * API (те же имена, что у BetService в panel.js):
+ *   HTTP  POST /api/<method>  JSON params -> { result } | { error: { code, message } }
+ *   WS    { id, method, params }          -> { id, result } | { id, error }
+ *   Методы: getServerInfo, getBalance, getSeedPair, placeBet, getBet, settle, rotateSeed
+ *
+ * GET / отдает саму игру (index.html и скрипты из корня репозитория).
+ *
+ * API доступен только странице самого сервера (http://<host>:<port>, для
+ * 127.0.0.1 и localhost - оба имени) и адресам из --origin: запросы
+ * и WebSocket с другим заголовком Origin отклоняются (403), иначе любой
+ * открытый в браузере сайт мог бы ставить со счета. Клиенты без Origin
+ * (не браузер) допускаются.
+ * ============================================================================
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { GameServer, GameError } = require('./game');
+const { acceptWebSocket } = require('./ws');
+const { ROOT } = require('../tools/engine');
+
+const MAX_BODY = 64 * 1024;
+
+// Файлы игры, которые сервер отдает по GET
+const STATIC_FILES = {
+    '/index.html': 'text/html; charset=utf-8',
+    '/style.css': 'text/css; charset=utf-8',
+    '/mathematics.js': 'application/javascript; charset=utf-8',
+    '/ui.js': 'application/javascript; charset=utf-8',
+    '/gamelogic.js': 'application/javascript; charset=utf-8',
+    '/panel.js': 'application/javascript; charset=utf-8'
+};
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+/**
+ * Вызов метода игры в формате ответа API
+ */
+function dispatch(game, method, params) {
+    try {
+        return { result: game.call(method, params) };
+    } catch (e) {
+        if (e instanceof GameError) return { error: { code: e.code, message: e.message } };
+        console.error(`[Server] ${method} failed`, e);
+        return { error: { code: 'server', message: 'Internal server error' } };
+    }
+}
+
+/**
+ * Разрешенные Origin: страница этого сервера и адреса из --origin
+ */
+function allowedOrigins(host, port, extra = []) {
+    const hosts = ['127.0.0.1', 'localhost'].includes(host) ? ['127.0.0.1', 'localhost'] : [host];
+    return new Set([...hosts.map(name => `http://${name}:${port}`), ...extra]);
+}
+
+/**
+ * Запрос без Origin пришел не из браузера; из браузера - только с разрешенной страницы
+ */
+function originAllowed(req, origins) {
+    const origin = req.headers.origin;
+    return origin === undefined || origins.has(origin);
+}
+
+function sendJSON(res, status, body, origin = null) {
+    const headers = { 'Content-Type': 'application/json; charset=utf-8' };
+    if (origin) {
+        headers['Access-Control-Allow-Origin'] = origin;
+        headers['Vary'] = 'Origin';
+    }
+    res.writeHead(status, headers);
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY) {
+                reject(new GameError('invalid_request', 'Request body is too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * @param {GameServer} game
+ * @param {Set<string>} origins - разрешенные Origin (allowedOrigins)
+ */
+function createServer(game, origins) {
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const origin = req.headers.origin || null;
+
+        if ((req.method === 'OPTIONS' || req.method === 'POST') && !originAllowed(req, origins)) {
+            sendJSON(res, 403, { error: { code: 'forbidden_origin', message: `Origin ${origin} is not allowed` } });
+            return;
+        }
+
+        // CORS preflight: игра может быть открыта с адреса из --origin
+        if (req.method === 'OPTIONS') {
+            const headers = {
+                'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type',
+                'Vary': 'Origin'
+            };
+            if (origin) headers['Access-Control-Allow-Origin'] = origin;
+            res.writeHead(204, headers);
+            res.end();
+            return;
+        }
+
+        if (req.method === 'POST' && url.pathname.startsWith('/api/')) {
+            let params;
+            try {
+                const body = await readBody(req);
+                params = body ? JSON.parse(body) : {};
+            } catch (e) {
+                sendJSON(res, 400, { error: { code: 'invalid_request', message: 'Malformed JSON body' } }, origin);
+                return;
+            }
+
+            const response = dispatch(game, url.pathname.slice('/api/'.length), params);
+            sendJSON(res, response.error ? 400 : 200, response, origin);
+            return;
+        }
+
+        const file = url.pathname === '/' ? '/index.html' : url.pathname;
+        if (req.method === 'GET' && STATIC_FILES[file]) {
+            res.writeHead(200, { 'Content-Type': STATIC_FILES[file] });
+            fs.createReadStream(path.join(ROOT, file)).pipe(res);
+            return;
+        }
+
+        sendJSON(res, 404, { error: { code: 'not_found', message: 'Not found' } });
+    });
+
+    server.on('upgrade', (req, socket) => {
+        if (!originAllowed(req, origins)) {
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+
+        acceptWebSocket(req, socket, (text, send) => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (e) {
+                send(JSON.stringify({ id: null, error: { code: 'invalid_request', message: 'Malformed JSON message' } }));
+                return;
+            }
+            send(JSON.stringify({ id: message.id, ...dispatch(game, message.method, message.params) }));
+        });
+    });
+
+    return server;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const port = Number(args.port || 8787);
+    const host = args.host || '127.0.0.1';
+
+    const game = new GameServer({
+        dataFile: args.data ? path.resolve(args.data) : null,
+        keyFile: args.key ? path.resolve(args.key) : null,
+        initialBalance: Number(args.balance || 20000)
+    });
+
+    const extra = typeof args.origin === 'string' ? args.origin.split(',').map(o => o.trim()).filter(Boolean) : [];
+    const origins = allowedOrigins(host, port, extra);
+
+    createServer(game, origins).listen(port, host, () => {
+        console.log(`[Server] Plinko X on http://${host}:${port} (key ${game.keyId}, balance ${game.state.balance})`);
+        console.log(`[Server] Game: http://${host}:${port}/?backend=http://${host}:${port}`);
+    });
+}
+
+if (require.main === module) main();
+
+module.exports = { createServer, dispatch, allowedOrigins };
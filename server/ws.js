@@ -0,0 +1,132 @@
+/**
+ * ============================================================================
+ * PLINKO X - MINIMAL WEBSOCKET (RFC 6455) FOR THE REFERENCE SERVER
+ * ============================================================================
+ *
+ * Без сторонних пакетов: рукопожатие, текстовые кадры, ping/pong и close.
+ * Фрагментированные и бинарные сообщения не поддерживаются - соединение
+ * закрывается с кодом 1003. Этого хватает для JSON-вызовов WsTransport.
+ * ============================================================================
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 1024 * 1024;
+
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xA };
+
+/**
+ * Кадр сервер -> клиент (без маски)
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Разбор одного кадра клиента. null - кадр еще не пришел целиком.
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    if (length > MAX_PAYLOAD) throw new Error('WebSocket frame is too large');
+    if (!masked) throw new Error('Client frames must be masked');
+    if (buffer.length < offset + 4 + length) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+
+    return { fin, opcode, payload, size: offset + 4 + length };
+}
+
+/**
+ * Принять upgrade-запрос http.Server.
+ * onMessage(text, send) вызывается на каждое текстовое сообщение.
+ */
+function acceptWebSocket(req, socket, onMessage) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    let buffer = Buffer.alloc(0);
+    const send = (text) => {
+        if (!socket.destroyed) socket.write(encodeFrame(OPCODES.text, Buffer.from(text)));
+    };
+    const close = (code) => {
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        if (!socket.destroyed) socket.end(encodeFrame(OPCODES.close, payload));
+    };
+
+    socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        try {
+            let frame;
+            while ((frame = decodeFrame(buffer))) {
+                buffer = buffer.subarray(frame.size);
+
+                if (frame.opcode === OPCODES.close) return close(1000);
+                if (frame.opcode === OPCODES.ping) {
+                    socket.write(encodeFrame(OPCODES.pong, frame.payload));
+                    continue;
+                }
+                if (frame.opcode === OPCODES.pong) continue;
+                if (frame.opcode !== OPCODES.text || !frame.fin) return close(1003);
+
+                onMessage(frame.payload.toString('utf8'), send);
+            }
+        } catch (e) {
+            close(1002);
+        }
+    });
+    socket.on('error', () => socket.destroy());
+}
+
+module.exports = { acceptWebSocket, encodeFrame, decodeFrame };
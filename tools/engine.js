@@ -0,0 +1,62 @@
+/**
+ * ============================================================================
+ * PLINKO X - NODE LOADER FOR GAME SCRIPTS
+ * ============================================================================
+ * 
+ * Игровые скрипты подключаются в браузере обычными <script> и делят
+ * глобальную область видимости. Здесь они так же выполняются в одном
+ * vm-контексте, но без DOM: доступны только математика, физика и
+ * Simulation.
+ * 
+ * ============================================================================
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Глобальные имена, которые отдаются наружу (если скрипт их определил)
+const EXPORTS = [
+    'MathUtils', 'SeededRandom', 'Vector2', 'CryptoEngine', 'FairGameEngine', 'PayTables',
+    'ProbabilityEngine', 'MathConfig', 'PayTableManager', 'RoundExport', 'GameLogic', 'Physics', 'Simulation'
+];
+
+/**
+ * localStorage в памяти (FairGameEngine сохраняет сиды)
+ */
+function createMemoryStorage() {
+    const data = new Map();
+    return {
+        getItem: key => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: key => data.delete(key),
+        clear: () => data.clear()
+    };
+}
+
+/**
+ * Выполняет скрипты в порядке index.html и возвращает их глобальные объекты.
+ */
+function loadEngine(files = ['mathematics.js', 'gamelogic.js']) {
+    const context = vm.createContext({
+        console,
+        crypto: globalThis.crypto,
+        TextEncoder,
+        localStorage: createMemoryStorage()
+    });
+    context.window = context;
+
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+
+    const picks = EXPORTS.map(name => `${name}: typeof ${name} === 'undefined' ? undefined : ${name}`);
+    return vm.runInContext(`({ ${picks.join(', ')} })`, context);
+}
+
+module.exports = { loadEngine, ROOT };
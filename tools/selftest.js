@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * PLINKO X - CRYPTO SELF-TEST (CLI)
+ * ============================================================================
+ *
+ * Прогоняет CryptoEngine.selfTest - тестовые векторы HMAC-SHA256 из
+ * RFC 4231 - на той же реализации, что считает исходы в браузере и на
+ * сервере. Запускать после любых правок CryptoEngine.
+ *
+ * Usage:
+ *   node tools/selftest.js
+ *
+ * Код выхода 1, если хотя бы один вектор не совпал.
+ * ============================================================================
+ */
+
+'use strict';
+
+const { loadEngine } = require('./engine');
+
+function main() {
+    const { CryptoEngine } = loadEngine(['mathematics.js']);
+    const passed = CryptoEngine.selfTest();
+
+    console.log(passed ? 'PASS' : 'FAIL');
+    process.exitCode = passed ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * PLINKO X - HEADLESS PHYSICS SIMULATION (CLI)
+ * ============================================================================
+ * 
+ * Бросает N шариков по физике GameLogic без браузера и сравнивает
+ * гистограмму слотов с ProbabilityEngine.getProbabilities.
+ * 
+ * Usage:
+ *   node tools/simulate.js --rows 8,12,16 --risk normal --balls 10000
+ *   node tools/simulate.js --rows 16 --mode fair --json
+ * 
+ * Options:
+ *   --rows           Ряды (через запятую)              [16]
+ *   --risk           low | normal | high               [normal]
+ *   --balls          Шариков на каждое значение рядов  [10000]
+ *   --mode           physics | fair                    [physics]
+ *   --width/--height Размер доски в пикселях           [800 x 800]
+ *   --max-deviation  Код выхода 1, если |observed - expected| по
+ *                    любому слоту больше (доля, напр. 0.01)
+ *   --seed           Сид физики для режима physics (повторяемый прогон)
+ *   --json           Отчет в JSON вместо таблиц
+ *   --help           Эта справка
+ * 
+ * В режиме fair код выхода 1 также при любом mismatch или stuck.
+ * Код выхода 2 - неизвестный параметр.
+ * ============================================================================
+ */
+
+'use strict';
+
+const { loadEngine } = require('./engine');
+
+const USAGE = `Usage: node tools/simulate.js [options]
+
+Options:
+  --rows           Ряды (через запятую)              [16]
+  --risk           low | normal | high               [normal]
+  --balls          Шариков на каждое значение рядов  [10000]
+  --mode           physics | fair                    [physics]
+  --width/--height Размер доски в пикселях           [800 x 800]
+  --max-deviation  Код выхода 1, если |observed - expected| по
+                   любому слоту больше (доля, напр. 0.01)
+  --seed           Сид физики для режима physics (повторяемый прогон)
+  --json           Отчет в JSON вместо таблиц
+  --help           Эта справка`;
+
+const OPTIONS = ['rows', 'risk', 'balls', 'mode', 'width', 'height', 'max-deviation', 'seed', 'json', 'help'];
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) throw new Error(`Unexpected argument: ${argv[i]}`);
+        const key = argv[i].slice(2);
+        if (!OPTIONS.includes(key)) throw new Error(`Unknown option: ${argv[i]}`);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(`[simulate] ${e.message}\n\n${USAGE}`);
+        process.exitCode = 2;
+        return;
+    }
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const { Simulation } = loadEngine();
+
+    const rowsList = String(args.rows || Simulation.defaults.rows).split(',').map(Number);
+    const maxDeviation = args['max-deviation'] !== undefined ? Number(args['max-deviation']) : null;
+    const reports = [];
+    let failed = false;
+
+    rowsList.forEach(rows => {
+        const report = Simulation.run({
+            rows,
+            risk: args.risk || Simulation.defaults.risk,
+            balls: Number(args.balls || Simulation.defaults.balls),
+            mode: args.mode || Simulation.defaults.mode,
+            width: Number(args.width || Simulation.defaults.width),
+            height: Number(args.height || Simulation.defaults.height),
+            seed: args.seed !== undefined ? String(args.seed) : null
+        });
+
+        if (report.mode === 'fair' && (report.mismatches > 0 || report.stuck > 0)) failed = true;
+        if (maxDeviation !== null && report.maxDeviation > maxDeviation) failed = true;
+
+        reports.push(report);
+        if (!args.json) Simulation.print(report);
+    });
+
+    if (args.json) console.log(JSON.stringify(reports, null, 2));
+    process.exitCode = failed ? 1 : 0;
+}
+
+main();
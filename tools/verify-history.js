@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * PLINKO X - INDEPENDENT CHECK OF A HISTORY EXPORT (CLI)
+ * ============================================================================
+ *
+ * Пересчитывает каждый раунд выгрузки истории (CSV или JSON из окна
+ * "История", формат RoundExport) тем же FairGameEngine.computeOutcome,
+ * что и игра: хеш раскрытого server seed, слот, множитель по таблице
+ * выплат и выплату. Раунды с еще не раскрытым сидом пропускаются.
+ *
+ * Usage:
+ *   node tools/verify-history.js plinko-history-2026-10-19.csv
+ *   node tools/verify-history.js plinko-history.json --tables tables.json --json
+ *
+ * Options:
+ *   --tables    JSON таблиц (формат PayTableManager.exportJSON) для сверки
+ *               множителей, проверяется как при импорте     [стандартные]
+ *   --json      Отчет в JSON вместо таблицы
+ *
+ * Код выхода 1 при любом расхождении, 2 - файл (или --tables) не читается,
+ * 3 - ни одного раунда с раскрытым сидом (проверять нечего).
+ * ============================================================================
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { loadEngine } = require('./engine');
+
+function parseArgs(argv) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            args._.push(argv[i]);
+            continue;
+        }
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+function printReport(file, report) {
+    const { summary } = report;
+    console.log(`\nHistory check · ${file} · ${summary.total} rounds`);
+    console.table([{ ok: summary.ok, mismatch: summary.mismatch, unrevealed: summary.unrevealed }]);
+
+    report.results
+        .filter(result => result.errors.length)
+        .forEach(({ round, errors }) => {
+            console.log(`FAIL ${round.betId} nonce ${round.nonce}: ${errors.join('; ')}`);
+        });
+
+    if (summary.mismatch) console.log('FAIL');
+    else console.log(summary.checked ? 'PASS' : 'NOTHING CHECKED: no revealed server seeds');
+}
+
+/**
+ * Таблицы для сверки: стандартные PayTables или файл --tables.
+ * Файл проходит проверки PayTableManager.validateTable, как при импорте.
+ */
+function loadTables(engine, file) {
+    if (!file) return engine.PayTables;
+
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const tables = data && data.tables;
+    if (!tables || typeof tables !== 'object') throw new Error(`${file}: no "tables" key`);
+
+    const errors = [];
+    Object.keys(tables).forEach(key => {
+        Object.keys(tables[key] || {}).forEach(risk => {
+            const report = engine.PayTableManager.validateTable(Number(key), risk, tables[key][risk]);
+            if (!report.valid) errors.push(`${key} rows / ${risk}: ${report.errors.join('; ')}`);
+        });
+    });
+    if (errors.length) throw new Error(`${file}: invalid pay tables\n  ${errors.join('\n  ')}`);
+
+    return tables;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const file = args._[0];
+    if (!file) {
+        console.error('Usage: node tools/verify-history.js <export.csv|export.json> [--tables file] [--json]');
+        process.exitCode = 2;
+        return;
+    }
+
+    const engine = loadEngine(['mathematics.js']);
+    const { RoundExport } = engine;
+
+    let rounds;
+    let tables;
+    try {
+        rounds = RoundExport.parse(fs.readFileSync(file, 'utf8'));
+        tables = loadTables(engine, args.tables);
+    } catch (e) {
+        console.error(`[verify-history] ${e.message}`);
+        process.exitCode = 2;
+        return;
+    }
+
+    const report = RoundExport.verify(rounds, tables);
+
+    if (args.json) console.log(JSON.stringify(report, null, 2));
+    else printReport(file, report);
+
+    if (report.summary.mismatch) process.exitCode = 1;
+    else process.exitCode = report.summary.checked ? 0 : 3;
+}
+
+main();
@@ -0,0 +1,398 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * PLINKO X - MONTE CARLO RTP VERIFICATION (CLI)
+ * ============================================================================
+ *
+ * Разыгрывает миллионы раундов по схеме FairGameEngine (случайные пары
+ * сидов, nonce подряд) и сравнивает с теорией ProbabilityEngine:
+ *   - частоты слотов: критерий хи-квадрат (редкие крайние слоты
+ *     объединяются, пока ожидаемое число не станет >= 5);
+ *   - RTP каждой таблицы: z-тест и 95% доверительный интервал
+ *     (sigma берется из теоретической дисперсии таблицы).
+ *
+ * Слоты зависят только от рядов, поэтому одна выборка на ряды проверяет
+ * все уровни риска. Порог alpha общий на весь прогон (поправка Бонферрони).
+ *
+ * Usage:
+ *   node tools/verify-rtp.js
+ *   node tools/verify-rtp.js --rows 16 --risk high --rounds 5000000
+ *   node tools/verify-rtp.js --tables new-tables.json --out report.json
+ *
+ * Options:
+ *   --rows        Ряды (через запятую)            [все из таблиц выплат]
+ *   --risk        Уровни риска (через запятую)    [low,normal,high]
+ *   --rounds      Раундов на каждое значение рядов [1000000]
+ *   --per-seed    Раундов на одну пару сидов       [1000]
+ *   --seed        Сид генератора пар (повторяемый прогон) [случайный]
+ *   --alpha       Уровень значимости на весь прогон [0.001]
+ *   --tolerance   Доп. предел |RTP - теория| в п.п. (напр. 0.5)
+ *   --engine      native | js                      [native]
+ *                 native - HMAC из node:crypto, на выборке сверяется
+ *                 с FairGameEngine.computeOutcome по слоту;
+ *                 js - сам FairGameEngine.computeOutcome (медленно)
+ *   --tables      JSON таблиц (формат PayTableManager.exportJSON),
+ *                 проверяется как при импорте в редактор таблиц
+ *   --ceiling     Потолок RTP для --tables, % (rtpCeiling из файла
+ *                 не используется)                [PayTableManager.rtpCeiling]
+ *   --json        Отчет в JSON вместо таблиц
+ *   --out         Дополнительно записать JSON-отчет в файл
+ *
+ * Код выхода 1 при любом дрейфе сверх допуска или расхождении движков,
+ * 2 - некорректные аргументы или файл таблиц.
+ * ============================================================================
+ */
+
+'use strict';
+
+const fs = require('fs');
+const nodeCrypto = require('crypto');
+const { loadEngine } = require('./engine');
+
+const REPORT_VERSION = 1;
+const CROSS_CHECK_ROUNDS = 200; // Раундов сверки native с FairGameEngine на каждые ряды
+const MIN_EXPECTED = 5; // Минимум ожидаемых попаданий в ячейку хи-квадрат
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+/* ==========================================================================
+   1. СТАТИСТИКА
+   ========================================================================== */
+
+/**
+ * Квантиль нормального распределения (бисекция по MathUtils.normalCdf)
+ */
+function normalQuantile(MathUtils, p) {
+    let lo = -10;
+    let hi = 10;
+    for (let i = 0; i < 100; i++) {
+        const mid = (lo + hi) / 2;
+        if (MathUtils.normalCdf(mid) < p) lo = mid;
+        else hi = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+/**
+ * P(X >= statistic) для хи-квадрат с df степенями свободы.
+ * Аппроксимация Уилсона-Хилферти, при df >= 3 ошибка порядка 1e-3.
+ */
+function chiSquarePValue(MathUtils, statistic, df) {
+    const k = 2 / (9 * df);
+    const z = (Math.cbrt(statistic / df) - (1 - k)) / Math.sqrt(k);
+    return 1 - MathUtils.normalCdf(z);
+}
+
+/**
+ * Объединение крайних слотов, пока ожидаемое число в ячейке < MIN_EXPECTED
+ */
+function poolBins(observed, expected) {
+    const bins = observed.map((count, slot) => ({ slots: [slot], observed: count, expected: expected[slot] }));
+
+    const merge = (from, to) => {
+        bins[to].slots.push(...bins[from].slots);
+        bins[to].observed += bins[from].observed;
+        bins[to].expected += bins[from].expected;
+        bins.splice(from, 1);
+    };
+
+    while (bins.length > 2 && bins[0].expected < MIN_EXPECTED) merge(0, 1);
+    while (bins.length > 2 && bins[bins.length - 1].expected < MIN_EXPECTED) merge(bins.length - 1, bins.length - 2);
+
+    return bins;
+}
+
+function chiSquareTest(MathUtils, counts, probabilities, rounds) {
+    const bins = poolBins(counts, probabilities.map(p => p * rounds));
+    const statistic = bins.reduce((sum, bin) => sum + (bin.observed - bin.expected) ** 2 / bin.expected, 0);
+    const df = bins.length - 1;
+
+    return {
+        statistic,
+        df,
+        pValue: chiSquarePValue(MathUtils, statistic, df),
+        bins: bins.length
+    };
+}
+
+/* ==========================================================================
+   2. ГЕНЕРАЦИЯ РАУНДОВ
+   ========================================================================== */
+
+/**
+ * Слот по схеме FairGameEngine.computeOutcome через node:crypto.
+ * Направление floor(f * 2) определяется старшим байтом каждого float.
+ */
+function nativeSlot(serverSeed, clientSeed, nonce, rows) {
+    let slot = 0;
+    let round = 0;
+    let hash = null;
+
+    for (let row = 0; row < rows; row++) {
+        const offset = (row * 4) % 32;
+        if (offset === 0) {
+            hash = nodeCrypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${nonce}:${round}`).digest();
+            round++;
+        }
+        if (hash[offset] >= 128) slot++;
+    }
+    return slot;
+}
+
+/**
+ * Счетчики слотов для rows рядов.
+ * Пары сидов берутся из SeededRandom(seed), поэтому прогон повторяем.
+ */
+function sampleSlots(engine, rows, { rounds, perSeed, seed, mode }) {
+    const { SeededRandom, FairGameEngine } = engine;
+    const rng = new SeededRandom(`rtp:${seed}:${rows}`);
+    const randomHex = (bytes) => Array.from({ length: bytes }, () => rng.int(0, 255).toString(16).padStart(2, '0')).join('');
+
+    const counts = new Array(rows + 1).fill(0);
+    let mismatches = 0;
+    let serverSeed = null;
+    let clientSeed = null;
+
+    for (let i = 0; i < rounds; i++) {
+        const nonce = i % perSeed;
+        if (nonce === 0) {
+            serverSeed = randomHex(32);
+            clientSeed = randomHex(8);
+        }
+
+        let slot;
+        if (mode === 'js') {
+            slot = FairGameEngine.computeOutcome(serverSeed, clientSeed, nonce, rows).slotIndex;
+        } else {
+            slot = nativeSlot(serverSeed, clientSeed, nonce, rows);
+            if (i < CROSS_CHECK_ROUNDS && FairGameEngine.computeOutcome(serverSeed, clientSeed, nonce, rows).slotIndex !== slot) {
+                mismatches++;
+            }
+        }
+        counts[slot]++;
+    }
+
+    return { counts, mismatches };
+}
+
+/* ==========================================================================
+   3. ОТЧЕТ
+   ========================================================================== */
+
+/**
+ * Проверка одной таблицы по готовой выборке слотов
+ */
+function checkTable(engine, rows, risk, multipliers, sample, limits) {
+    const { ProbabilityEngine } = engine;
+    const { counts } = sample;
+    const rounds = counts.reduce((a, b) => a + b, 0);
+
+    const theoryRtp = ProbabilityEngine.calculateTableRTP(rows, multipliers);
+    const stdDev = Math.sqrt(ProbabilityEngine.calculateTableVariance(rows, multipliers)) * 100;
+    const observedRtp = counts.reduce((sum, count, slot) => sum + count * multipliers[slot], 0) / rounds * 100;
+
+    const standardError = stdDev / Math.sqrt(rounds);
+    const drift = observedRtp - theoryRtp;
+    const z = standardError > 0 ? drift / standardError : 0;
+
+    const failures = [];
+    if (Math.abs(z) > limits.z) failures.push(`RTP drift z=${z.toFixed(2)} (limit ${limits.z.toFixed(2)})`);
+    if (limits.tolerance !== null && Math.abs(drift) > limits.tolerance) {
+        failures.push(`RTP drift ${drift.toFixed(3)} pp > ${limits.tolerance} pp`);
+    }
+
+    return {
+        rows,
+        risk,
+        rounds,
+        theory: { rtp: theoryRtp, stdDev },
+        observed: {
+            rtp: observedRtp,
+            drift,
+            z,
+            ci95: [observedRtp - 1.96 * standardError, observedRtp + 1.96 * standardError]
+        },
+        pass: !failures.length,
+        failures
+    };
+}
+
+/**
+ * Частоты слотов с 95% интервалами и хи-квадрат
+ */
+function checkSlots(engine, rows, sample, limits) {
+    const { ProbabilityEngine, MathUtils } = engine;
+    const { counts, mismatches } = sample;
+    const rounds = counts.reduce((a, b) => a + b, 0);
+    const probabilities = ProbabilityEngine.getProbabilities(rows);
+    const chiSquare = chiSquareTest(MathUtils, counts, probabilities, rounds);
+
+    const slots = counts.map((count, slot) => {
+        const frequency = count / rounds;
+        const margin = 1.96 * Math.sqrt(probabilities[slot] * (1 - probabilities[slot]) / rounds);
+        return { slot, expected: probabilities[slot], observed: frequency, ci95: [Math.max(0, frequency - margin), Math.min(1, frequency + margin)] };
+    });
+
+    const failures = [];
+    if (chiSquare.pValue < limits.alpha) failures.push(`chi-square p=${chiSquare.pValue.toExponential(2)} < ${limits.alpha.toExponential(2)}`);
+    if (mismatches > 0) failures.push(`native HMAC differs from FairGameEngine in ${mismatches} rounds`);
+
+    return { rows, rounds, chiSquare, mismatches, slots, pass: !failures.length, failures };
+}
+
+/**
+ * Таблицы для проверки: текущие PayTables или файл --tables.
+ * Таблицы из файла проходят те же проверки, что и в PayTableManager
+ * (rows + 1 множителей, симметрия, потолок RTP), иначе RTP кривой
+ * таблицы выглядел бы правдоподобным. Потолок задает оператор
+ * (--ceiling), а не сам файл.
+ */
+function loadTables(engine, file, ceiling) {
+    if (!file) return engine.PayTables;
+
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const tables = data.tables || data;
+    if (!tables || typeof tables !== 'object') throw new Error(`${file}: no pay tables`);
+
+    const { PayTableManager } = engine;
+    const errors = [];
+    Object.keys(tables).forEach(key => {
+        Object.keys(tables[key] || {}).forEach(risk => {
+            const report = PayTableManager.validateTable(Number(key), risk, tables[key][risk], ceiling);
+            if (!report.valid) errors.push(`${key} rows / ${risk}: ${report.errors.join('; ')}`);
+        });
+    });
+    if (errors.length) throw new Error(`${file}: invalid pay tables\n  ${errors.join('\n  ')}`);
+
+    return tables;
+}
+
+function printReport(report) {
+    console.log(`\nRTP verification · seed ${report.seed} · ${report.rounds} rounds per rows · engine ${report.engine}`);
+
+    console.table(report.slots.map(s => ({
+        rows: s.rows,
+        'chi²': Number(s.chiSquare.statistic.toFixed(2)),
+        df: s.chiSquare.df,
+        'p-value': Number(s.chiSquare.pValue.toFixed(4)),
+        mismatches: s.mismatches,
+        status: s.pass ? 'OK' : 'FAIL'
+    })));
+
+    console.table(report.tables.map(t => ({
+        rows: t.rows,
+        risk: t.risk,
+        'theory %': Number(t.theory.rtp.toFixed(3)),
+        'observed %': Number(t.observed.rtp.toFixed(3)),
+        'ci95 %': `${t.observed.ci95[0].toFixed(3)} .. ${t.observed.ci95[1].toFixed(3)}`,
+        z: Number(t.observed.z.toFixed(2)),
+        status: t.pass ? 'OK' : 'FAIL'
+    })));
+
+    [...report.slots, ...report.tables]
+        .filter(entry => !entry.pass)
+        .forEach(entry => console.log(`FAIL ${entry.rows}${entry.risk ? ' / ' + entry.risk : ''}: ${entry.failures.join('; ')}`));
+
+    console.log(report.pass ? 'PASS' : 'FAIL');
+}
+
+function loadCeiling(engine, value) {
+    if (value === undefined) return engine.PayTableManager.rtpCeiling;
+    const ceiling = Number(value);
+    if (!engine.PayTableManager.isValidCeiling(ceiling)) {
+        throw new Error(`--ceiling must be above 0 and at most ${engine.PayTableManager.MAX_RTP_CEILING}: ${value}`);
+    }
+    return ceiling;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const engine = loadEngine(['mathematics.js']);
+
+    let tables;
+    try {
+        tables = loadTables(engine, args.tables, loadCeiling(engine, args.ceiling));
+    } catch (e) {
+        console.error(`[verify-rtp] ${e.message}`);
+        process.exitCode = 2;
+        return;
+    }
+
+    const rowsList = args.rows
+        ? String(args.rows).split(',').map(Number)
+        : Object.keys(tables).map(Number).sort((a, b) => a - b);
+    const risks = String(args.risk || 'low,normal,high').split(',');
+
+    const options = {
+        rounds: Number(args.rounds || 1000000),
+        perSeed: Number(args['per-seed'] || 1000),
+        seed: args.seed !== undefined ? String(args.seed) : engine.FairGameEngine.randomHex(8),
+        mode: args.engine === 'js' ? 'js' : 'native'
+    };
+
+    const jobs = rowsList.flatMap(rows => risks
+        .filter(risk => tables[rows] && tables[rows][risk])
+        .map(risk => ({ rows, risk, multipliers: tables[rows][risk] })));
+
+    if (!jobs.length) {
+        console.error('[verify-rtp] No pay tables match --rows / --risk');
+        process.exitCode = 2;
+        return;
+    }
+
+    // Бонферрони: alpha делится на число тестов (хи-квадрат на ряды + RTP на таблицу)
+    const alpha = Number(args.alpha || 0.001);
+    const testedRows = [...new Set(jobs.map(job => job.rows))];
+    const testAlpha = alpha / (testedRows.length + jobs.length);
+    const limits = {
+        alpha: testAlpha,
+        z: normalQuantile(engine.MathUtils, 1 - testAlpha / 2),
+        tolerance: args.tolerance !== undefined ? Number(args.tolerance) : null
+    };
+
+    const report = {
+        version: REPORT_VERSION,
+        seed: options.seed,
+        engine: options.mode,
+        rounds: options.rounds,
+        perSeed: options.perSeed,
+        alpha,
+        limits,
+        slots: [],
+        tables: [],
+        pass: true
+    };
+
+    testedRows.forEach(rows => {
+        const sample = sampleSlots(engine, rows, options);
+        report.slots.push(checkSlots(engine, rows, sample, limits));
+        jobs.filter(job => job.rows === rows).forEach(job => {
+            report.tables.push(checkTable(engine, rows, job.risk, job.multipliers, sample, limits));
+        });
+    });
+
+    report.pass = [...report.slots, ...report.tables].every(entry => entry.pass);
+
+    if (args.json) console.log(JSON.stringify(report, null, 2));
+    else printReport(report);
+
+    if (args.out) fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+
+    process.exitCode = report.pass ? 0 : 1;
+}
+
+main();
@@ -76,7 +76,8 @@ const I18N = {
             no_funds: 'Недостаточно средств на балансе',
             max_bet: 'Превышен лимит ставки',
             min_bet: 'Ниже минимальной ставки',
-            network: 'Ошибка сети'
+            network: 'Ошибка сети',
+            bad_receipt: 'Квитанция ставки не прошла проверку'
         },
         history: {
             title: 'История игр',
@@ -100,7 +101,8 @@ const I18N = {
             no_funds: 'Insufficient funds',
             max_bet: 'Max bet limit exceeded',
             min_bet: 'Below min bet',
-            network: 'Network error'
+            network: 'Network error',
+            bad_receipt: 'Bet receipt verification failed'
         },
         history: {
             title: 'Game History',
@@ -435,7 +437,7 @@ class GameMultipliers {
 
     /**
      * Основная функция инициализации слотов внизу поля.
-     * Вызывается из MathConfig/PanelController при изменении рядов.
+     * Вызывается из UIManager по MathConfig.onChange при изменении рядов/риска.
      */
     init() {
         if (!this.container) return;
@@ -619,4 +621,985 @@ class WinPopup {
                 border: '2px solid #00b894',
                 color: '#fff',
                 textAlign: 'center',
-                boxShadow: '0 0 30
+                boxShadow: '0 0 30px rgba(0, 184, 148, 0.4)',
+                transform: 'scale(0.5)',
+                opacity: '0',
+                transition: 'all 0.3s cubic-bezier(0.175, 0.885, 0.32, 1.275)'
+            }
+        }, [
+            DOMHelper.create('div', { style: { fontSize: '28px', fontWeight: '800', color: '#00b894' } }, [`${multiplier}x`]),
+            DOMHelper.create('div', { style: { fontSize: '16px', marginTop: '5px' } }, [
+                `+${DOMHelper.formatMoney(amount)} ${UI_CONFIG.formatting.currency}`
+            ])
+        ]);
+
+        this.overlay.appendChild(popup);
+
+        // Trigger reflow
+        popup.offsetHeight;
+
+        // Animation IN
+        popup.style.transform = 'scale(1)';
+        popup.style.opacity = '1';
+
+        // Animation OUT
+        setTimeout(() => {
+            popup.style.transform = 'scale(0.8)';
+            popup.style.opacity = '0';
+            setTimeout(() => popup.remove(), UI_CONFIG.animation.duration);
+        }, 1500);
+    }
+}
+
+/* ==========================================================================
+   SECTION 9: COMPONENT - MODAL DIALOGS
+   ========================================================================== */
+
+/**
+ * Базовое модальное окно.
+ * Разметка лежит в index.html (.modal), класс только управляет видимостью.
+ */
+class Modal {
+    constructor(element) {
+        this.element = element;
+        this.isOpen = false;
+
+        if (!this.element) return;
+
+        // Закрытие по крестику и по клику на подложку
+        this.element.querySelectorAll('.modal-close').forEach(btn => {
+            btn.addEventListener('click', () => this.close());
+        });
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element) this.close();
+        });
+    }
+
+    open() {
+        if (!this.element) return;
+        this.element.classList.add('open');
+        this.isOpen = true;
+    }
+
+    close() {
+        if (!this.element) return;
+        this.element.classList.remove('open');
+        this.isOpen = false;
+    }
+
+    find(selector) {
+        return this.element ? this.element.querySelector(selector) : null;
+    }
+}
+
+/**
+ * Окно "Честная игра": активная пара сидов, архив и проверка раундов.
+ * Только отображение, действия обрабатывает PanelController.
+ */
+class FairnessModal extends Modal {
+    constructor() {
+        super(document.getElementById('modal-fairness'));
+    }
+
+    /**
+     * Отрисовка публичных данных активной пары сидов
+     */
+    renderSeedPair(pair) {
+        if (!this.element) return;
+
+        this.find('#fair-client-seed').value = pair.clientSeed;
+        this.find('#fair-server-hash').innerText = pair.serverSeedHash;
+        this.find('#fair-next-hash').innerText = pair.nextServerSeedHash;
+        this.find('#fair-nonce').innerText = pair.nonce;
+    }
+
+    /**
+     * Отрисовка архива раскрытых пар
+     */
+    renderArchive(archive, onSelect) {
+        const list = this.find('#fair-archive');
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (!archive.length) {
+            list.appendChild(DOMHelper.create('div', { class: 'fair-empty' }, ['Раскрытых сидов пока нет']));
+            return;
+        }
+
+        archive.forEach(pair => {
+            const item = DOMHelper.create('div', {
+                class: 'fair-archive-item',
+                onClick: () => onSelect(pair)
+            }, [
+                DOMHelper.create('div', { class: 'fair-label' }, [
+                    `${new Date(pair.revealedAt).toLocaleString(UI_CONFIG.formatting.locale)} · ставок: ${pair.nonce}`
+                ]),
+                DOMHelper.create('div', { class: 'fair-mono' }, [`server: ${pair.serverSeed}`]),
+                DOMHelper.create('div', { class: 'fair-mono' }, [`client: ${pair.clientSeed}`])
+            ]);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Чтение формы проверки
+     */
+    getVerifyParams() {
+        return {
+            serverSeed: this.find('#verify-server-seed').value.trim(),
+            clientSeed: this.find('#verify-client-seed').value,
+            nonce: this.find('#verify-nonce').value,
+            rows: this.find('#verify-rows').value,
+            risk: this.find('#verify-risk').value,
+            bet: this.find('#verify-bet').value
+        };
+    }
+
+    /**
+     * Заполнение формы проверки (например, из архива)
+     */
+    fillVerifyForm(params) {
+        Object.keys(params).forEach(key => {
+            const input = this.find(`#verify-${key.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}`);
+            if (input && params[key] !== undefined) input.value = params[key];
+        });
+    }
+
+    /**
+     * Отрисовка результата проверки или ошибки
+     */
+    renderVerification(result, error = null) {
+        const box = this.find('#verify-result');
+        if (!box) return;
+
+        box.innerHTML = '';
+
+        if (error) {
+            box.appendChild(DOMHelper.create('div', { class: 'fair-error' }, [error]));
+            return;
+        }
+
+        const path = result.path.map(dir => dir ? '→' : '←').join(' ');
+
+        [
+            ['SHA-256 (server seed)', result.serverSeedHash],
+            ['HMAC', result.hash],
+            ['Путь', path],
+            ['Слот', result.slotIndex],
+            ['Множитель', `${result.multiplier}x`],
+            ['Выплата', `${DOMHelper.formatMoney(result.payout)} ${UI_CONFIG.formatting.currency}`]
+        ].forEach(([label, value]) => {
+            box.appendChild(DOMHelper.create('div', { class: 'fair-row' }, [
+                DOMHelper.create('span', { class: 'fair-label' }, [label]),
+                DOMHelper.create('span', { class: 'fair-mono' }, [value])
+            ]));
+        });
+    }
+
+    /**
+     * Итог RoundExport.verify: счетчики и раунды с расхождениями
+     * (по клику раунд подставляется в форму проверки)
+     */
+    renderImportReport(report, error = null) {
+        const box = this.find('#verify-import-result');
+        if (!box) return;
+
+        box.innerHTML = '';
+
+        if (error) {
+            box.appendChild(DOMHelper.create('div', { class: 'fair-error' }, [error]));
+            return;
+        }
+
+        const { summary } = report;
+        [
+            ['Раундов', summary.total],
+            ['Совпало', summary.ok],
+            ['Расхождений', summary.mismatch],
+            ['Сид не раскрыт', summary.unrevealed],
+            ['Итог', summary.mismatch ? 'Есть расхождения' : summary.checked ? 'OK' : 'Нечего проверять: сиды не раскрыты']
+        ].forEach(([label, value]) => {
+            box.appendChild(DOMHelper.create('div', { class: 'fair-row' }, [
+                DOMHelper.create('span', { class: 'fair-label' }, [label]),
+                DOMHelper.create('span', { class: 'fair-mono' }, [String(value)])
+            ]));
+        });
+
+        const flagged = report.results.filter(result => result.errors.length);
+        flagged.slice(0, 20).forEach(({ round, errors }) => {
+            const item = DOMHelper.create('div', { class: 'fair-archive-item' }, [
+                DOMHelper.create('div', { class: 'fair-mono' }, [`${round.betId} · nonce ${round.nonce}`]),
+                ...errors.map(text => DOMHelper.create('div', { class: 'fair-mono fair-error' }, [text]))
+            ]);
+            item.addEventListener('click', () => this.fillVerifyForm({
+                serverSeed: round.serverSeed,
+                clientSeed: round.clientSeed,
+                nonce: round.nonce,
+                rows: round.rows,
+                risk: round.risk,
+                bet: round.bet
+            }));
+            box.appendChild(item);
+        });
+        if (flagged.length > 20) {
+            box.appendChild(DOMHelper.create('div', { class: 'fair-empty' }, [`И еще ${flagged.length - 20}`]));
+        }
+    }
+}
+
+/**
+ * Окно реплея раунда: канвас проигрывателя, пауза, перемотка, скорость,
+ * экспорт записи и загрузка присланной (для службы поддержки).
+ * ReplayPlayer из gamelogic.js создается при первой загрузке записи.
+ */
+class ReplayModal extends Modal {
+    constructor() {
+        super(document.getElementById('modal-replay'));
+        this.player = null;
+        this.replay = null;
+
+        if (!this.element) return;
+
+        this.toggleBtn = this.find('#replay-toggle');
+        this.scrub = this.find('#replay-scrub');
+        this.speed = this.find('#replay-speed');
+        this.jsonField = this.find('#replay-json');
+
+        this.toggleBtn.addEventListener('click', () => {
+            if (this.player) this.player.toggle();
+        });
+        this.scrub.addEventListener('input', () => {
+            if (!this.player) return;
+            this.player.pause();
+            this.player.seek(parseFloat(this.scrub.value));
+        });
+        this.speed.addEventListener('change', () => {
+            if (this.player) this.player.setSpeed(parseFloat(this.speed.value));
+        });
+        this.find('#replay-export').addEventListener('click', () => this.exportReplay());
+        this.find('#replay-load').addEventListener('click', () => this.load(this.jsonField.value.trim()));
+    }
+
+    /**
+     * Открыть окно и (если передана) запустить запись
+     */
+    show(replay = null) {
+        // Сначала открываем: у скрытого канваса нулевой размер
+        this.open();
+
+        if (replay) this.load(replay);
+        else this.renderInfo(null);
+    }
+
+    load(replay) {
+        if (!this.element) return;
+
+        if (!this.player) {
+            this.player = new ReplayPlayer('replayCanvas');
+            this.player.onFrame = (frame, lastFrame, playing) => this.syncControls(frame, lastFrame, playing);
+        }
+
+        try {
+            const parsed = Replay.parse(replay);
+            const data = this.player.load(parsed);
+            this.player.setSpeed(parseFloat(this.speed.value));
+            this.replay = parsed;
+            this.jsonField.value = '';
+            this.renderInfo(parsed, data);
+        } catch (e) {
+            this.renderInfo(null, null, e.message);
+        }
+    }
+
+    syncControls(frame, lastFrame, playing) {
+        this.scrub.max = lastFrame;
+        if (document.activeElement !== this.scrub) this.scrub.value = frame;
+        this.toggleBtn.innerText = playing ? '❚❚' : '▶';
+    }
+
+    /**
+     * Данные раунда и результат сверки траектории
+     */
+    renderInfo(replay, data = null, error = null) {
+        const box = this.find('#replay-info');
+        if (!box) return;
+
+        box.innerHTML = '';
+
+        if (error) {
+            box.appendChild(DOMHelper.create('div', { class: 'fair-error' }, [error]));
+            return;
+        }
+        if (!replay) {
+            box.appendChild(DOMHelper.create('div', { class: 'fair-empty' }, ['Выберите раунд в истории или вставьте JSON реплея']));
+            return;
+        }
+
+        const { round } = replay;
+        let check = 'Траектория совпадает с записью';
+        if (data.bucketIndex !== round.slotIndex) check = 'Шарик не попал в честный слот!';
+        else if (!data.exact) check = 'Траектория пересчитана приблизительно (доска менялась в полете)';
+
+        [
+            ['Время', new Date(replay.time).toLocaleString(UI_CONFIG.formatting.locale)],
+            ['Nonce', round.nonce],
+            ['Client seed', round.clientSeed],
+            ['SHA-256 (server seed)', round.serverSeedHash],
+            ['Ряды / риск', `${round.rows} / ${round.risk}`],
+            ['Слот', round.slotIndex],
+            ['Ставка', `${DOMHelper.formatMoney(replay.bet)} ${UI_CONFIG.formatting.currency}`],
+            ['Выплата', `${DOMHelper.formatMoney(replay.payout)} ${UI_CONFIG.formatting.currency} (${replay.multiplier}x)`],
+            ['Проверка', check]
+        ].forEach(([label, value]) => {
+            box.appendChild(DOMHelper.create('div', { class: 'fair-row' }, [
+                DOMHelper.create('span', { class: 'fair-label' }, [label]),
+                DOMHelper.create('span', { class: 'fair-mono' }, [value])
+            ]));
+        });
+    }
+
+    /**
+     * JSON текущей записи в поле и в буфер обмена
+     */
+    exportReplay() {
+        if (!this.replay) return;
+
+        const text = Replay.serialize(this.replay);
+        this.jsonField.value = text;
+        this.jsonField.select();
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(text)
+                .then(() => Toaster.success('Реплей скопирован'))
+                .catch(() => {});
+        }
+    }
+
+    close() {
+        super.close();
+        if (this.player) this.player.stop();
+    }
+}
+
+/**
+ * Редактор таблиц выплат: сетка множителей, живая статистика, импорт/экспорт.
+ * Только отображение, проверку и применение выполняет PanelController
+ * через PayTableManager.
+ */
+class PayTableModal extends Modal {
+    constructor() {
+        super(document.getElementById('modal-paytable'));
+    }
+
+    /**
+     * Заполнение списка рядов (ROWS_RANGE) один раз при открытии
+     */
+    renderRowsOptions(range, selected) {
+        const select = this.find('#pt-rows');
+        if (!select || select.options.length) return;
+
+        for (let rows = range.min; rows <= range.max; rows++) {
+            const option = DOMHelper.create('option', { value: rows }, [`${rows} Рядов`]);
+            if (rows === selected) option.selected = true;
+            select.appendChild(option);
+        }
+    }
+
+    getSelection() {
+        return {
+            rows: parseInt(this.find('#pt-rows').value),
+            risk: this.find('#pt-risk').value
+        };
+    }
+
+    setSelection(rows, risk) {
+        this.find('#pt-rows').value = rows;
+        this.find('#pt-risk').value = risk;
+    }
+
+    /**
+     * Сетка полей: по одному на слот.
+     * При включенной симметрии правка слота i меняет и слот rows - i.
+     */
+    renderGrid(multipliers, onInput) {
+        const grid = this.find('#pt-grid');
+        if (!grid) return;
+
+        grid.innerHTML = '';
+        const last = multipliers.length - 1;
+
+        multipliers.forEach((value, index) => {
+            const input = DOMHelper.create('input', {
+                type: 'number',
+                class: 'fair-input pt-cell',
+                min: '0',
+                step: '0.1',
+                value,
+                'data-index': index,
+                title: `Слот ${index}`
+            });
+
+            input.addEventListener('input', () => {
+                if (this.find('#pt-symmetric').checked && index !== last - index) {
+                    grid.children[last - index].value = input.value;
+                }
+                onInput();
+            });
+            grid.appendChild(input);
+        });
+    }
+
+    getMultipliers() {
+        return Array.from(this.element.querySelectorAll('.pt-cell')).map(input => {
+            const value = parseFloat(input.value);
+            return isNaN(value) ? NaN : value;
+        });
+    }
+
+    getCeiling() {
+        return parseFloat(this.find('#pt-ceiling').value);
+    }
+
+    setCeiling(value) {
+        this.find('#pt-ceiling').value = value;
+    }
+
+    /**
+     * Статистика таблицы и ошибки проверки
+     */
+    renderStats(report) {
+        const box = this.find('#pt-stats');
+        if (!box) return;
+
+        box.innerHTML = '';
+
+        [
+            ['RTP', `${report.rtp.toFixed(2)}%`],
+            ['Дисперсия', report.variance.toFixed(2)],
+            ['Макс. выигрыш', `${report.maxWin}x`],
+            ['Симметрия', report.symmetric ? 'да' : 'нет']
+        ].forEach(([label, value]) => {
+            box.appendChild(DOMHelper.create('div', { class: 'fair-row' }, [
+                DOMHelper.create('span', { class: 'fair-label' }, [label]),
+                DOMHelper.create('span', { class: 'fair-mono' }, [value])
+            ]));
+        });
+
+        report.errors.forEach(error => {
+            box.appendChild(DOMHelper.create('div', { class: 'fair-error' }, [error]));
+        });
+
+        this.find('#pt-apply').disabled = !report.valid;
+    }
+
+    getJSON() {
+        return this.find('#pt-json').value.trim();
+    }
+
+    setJSON(text) {
+        this.find('#pt-json').value = text;
+    }
+}
+
+/**
+ * Окно "Об игре": статистический профиль таблицы выплат и риск разорения.
+ * Числа считает ProbabilityEngine, окно только рисует.
+ */
+class GameInfoModal extends Modal {
+    constructor() {
+        super(document.getElementById('modal-info'));
+    }
+
+    /**
+     * Список рядов из имеющихся таблиц выплат
+     */
+    renderRowsOptions(rowsList) {
+        const select = this.find('#info-rows');
+        if (!select) return;
+
+        select.innerHTML = '';
+        rowsList.forEach(rows => {
+            select.appendChild(DOMHelper.create('option', { value: rows }, [`${rows} Рядов`]));
+        });
+    }
+
+    getSelection() {
+        return {
+            rows: parseInt(this.find('#info-rows').value),
+            risk: this.find('#info-risk').value
+        };
+    }
+
+    setSelection(rows, risk) {
+        this.find('#info-rows').value = rows;
+        this.find('#info-risk').value = risk;
+    }
+
+    getRuinParams() {
+        return {
+            bankroll: parseFloat(this.find('#info-bankroll').value),
+            bet: parseFloat(this.find('#info-bet').value)
+        };
+    }
+
+    setRuinParams(bankroll, bet) {
+        this.find('#info-bankroll').value = MathUtils.roundMoney(bankroll);
+        this.find('#info-bet').value = bet;
+    }
+
+    /**
+     * Основные показатели, полосы множителей и отдельные множители
+     */
+    renderProfile(profile) {
+        const percent = (p) => `${(p * 100).toFixed(p < 0.001 ? 4 : 2)}%`;
+
+        this.renderRows('#info-stats', [
+            ['RTP', `${profile.rtp.toFixed(2)}%`],
+            ['Преимущество казино', `${profile.houseEdge.toFixed(2)}%`],
+            ['Дисперсия', profile.variance.toFixed(3)],
+            ['Стандартное отклонение', profile.stdDev.toFixed(3)],
+            ['Частота выигрыша (≥ 1x)', percent(profile.hitFrequency)],
+            ['Макс. выигрыш', `${profile.maxWin}x`],
+            ['Шанс макс. выигрыша', `${percent(profile.maxWinProbability)} (1 к ${Math.round(1 / profile.maxWinProbability)})`]
+        ]);
+
+        this.renderRows('#info-tiers', profile.tiers.map(tier => [tier.label, percent(tier.probability)]));
+        this.renderRows('#info-outcomes', profile.outcomes.map(o => [`${o.multiplier}x`, percent(o.probability)]));
+    }
+
+    /**
+     * Риск разорения по горизонтам: [{ bets, simulated, approx }]
+     */
+    renderRuin(rows) {
+        this.renderRows('#info-ruin', rows.map(row => {
+            const label = row.bets === Infinity ? 'Без ограничения' : `${row.bets} ставок`;
+            const simulated = row.simulated
+                ? `${(row.simulated.probability * 100).toFixed(1)}% ± ${(row.simulated.margin * 100).toFixed(1)}`
+                : '—';
+            return [label, `${simulated} · ≈ ${(row.approx * 100).toFixed(1)}%`];
+        }));
+    }
+
+    renderRows(selector, rows) {
+        const box = this.find(selector);
+        if (!box) return;
+
+        box.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            box.appendChild(DOMHelper.create('div', { class: 'fair-row' }, [
+                DOMHelper.create('span', { class: 'fair-label' }, [label]),
+                DOMHelper.create('span', { class: 'fair-mono' }, [value])
+            ]));
+        });
+    }
+}
+
+/**
+ * Окно бэктеста стратегии: параметры прогона, график баланса и итоги.
+ * Прогон выполняет Backtester из panel.js.
+ */
+class BacktestModal extends Modal {
+    static STOP_REASONS = {
+        completed: 'Все ставки сделаны',
+        total_bets: 'Лимит количества ставок',
+        take_profit: 'Стоп при прибыли',
+        stop_loss: 'Стоп при убытке',
+        multiplier: 'Выигрыш с большим множителем',
+        loss_streak: 'Серия проигрышей',
+        no_funds: 'Недостаточно средств',
+        strategy: 'Остановлено стратегией',
+        cancelled: 'Прервано'
+    };
+
+    constructor() {
+        super(document.getElementById('modal-backtest'));
+        this.onClose = null;
+    }
+
+    close() {
+        if (this.onClose) this.onClose();
+        super.close();
+    }
+
+    getParams() {
+        return {
+            bets: parseInt(this.find('#bt-bets').value),
+            bankroll: parseFloat(this.find('#bt-bankroll').value),
+            serverSeed: this.find('#bt-server-seed').value.trim() || null,
+            clientSeed: this.find('#bt-client-seed').value.trim() || null
+        };
+    }
+
+    /**
+     * Что именно будет протестировано (стратегия и текущие настройки ставки)
+     */
+    renderSummary(text, bankroll) {
+        this.find('#bt-summary').innerText = text;
+        if (!this.find('#bt-bankroll').value) this.find('#bt-bankroll').value = MathUtils.roundMoney(bankroll);
+    }
+
+    setRunning(running) {
+        this.find('#bt-run').innerText = running ? 'Остановить' : 'Запустить';
+        if (!running) this.find('#bt-progress').innerText = '';
+    }
+
+    renderProgress(done, total) {
+        this.find('#bt-progress').innerText = `${done} / ${total}`;
+    }
+
+    renderReport(report) {
+        const money = (value) => `${DOMHelper.formatMoney(value)} ${UI_CONFIG.formatting.currency}`;
+        const box = this.find('#bt-result');
+        box.innerHTML = '';
+
+        [
+            ['Ставок', `${report.bets} / ${report.requested}`],
+            ['Остановка', BacktestModal.STOP_REASONS[report.stopReason] || report.stopReason],
+            ['Начальный баланс', money(report.startBalance)],
+            ['Итоговый баланс', money(report.finalBalance)],
+            ['Профит', money(report.profit)],
+            ['Оборот', money(report.wagered)],
+            ['Выигрышей / проигрышей', `${report.wins} / ${report.losses}`],
+            ['Макс. просадка', `${money(report.maxDrawdown)} (${report.maxDrawdownPercent.toFixed(2)}%)`],
+            ['Самая длинная серия проигрышей', report.longestLosingStreak],
+            ['Server seed', report.serverSeed],
+            ['Client seed', report.clientSeed]
+        ].forEach(([label, value]) => {
+            box.appendChild(DOMHelper.create('div', { class: 'fair-row' }, [
+                DOMHelper.create('span', { class: 'fair-label' }, [label]),
+                DOMHelper.create('span', { class: 'fair-mono' }, [String(value)])
+            ]));
+        });
+
+        this.drawCurve(report.curve, report.startBalance);
+    }
+
+    /**
+     * Кривая баланса. Длинная кривая прореживается до ширины канваса
+     * (в каждом столбце - минимум и максимум, чтобы не терять просадки).
+     */
+    drawCurve(curve, startBalance) {
+        const canvas = this.find('#bt-chart');
+        if (!canvas || !canvas.getContext) return;
+
+        const width = canvas.width = canvas.clientWidth || 400;
+        const height = canvas.height = canvas.clientHeight || 160;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+        if (curve.length < 2) return;
+
+        const min = Math.min(...curve, startBalance);
+        const max = Math.max(...curve, startBalance);
+        const range = max - min || 1;
+        const y = (value) => height - 4 - (value - min) / range * (height - 8);
+
+        // Линия начального баланса
+        ctx.strokeStyle = '#333';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(0, y(startBalance));
+        ctx.lineTo(width, y(startBalance));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.strokeStyle = curve[curve.length - 1] >= startBalance ? '#00b894' : '#ff4757';
+        ctx.beginPath();
+        const perColumn = Math.max(1, Math.ceil(curve.length / width));
+        for (let i = 0; i < curve.length; i += perColumn) {
+            const slice = curve.slice(i, i + perColumn);
+            const x = i / (curve.length - 1) * width;
+            ctx.lineTo(x, y(Math.max(...slice)));
+            ctx.lineTo(x, y(Math.min(...slice)));
+        }
+        ctx.stroke();
+    }
+}
+
+/* ==========================================================================
+   SECTION 10: PUBLIC UI FACADE (window.UI)
+   ========================================================================== */
+
+/**
+ * Окно кошелька: проверка журнала и последние операции.
+ * Журнал ведет Wallet из panel.js.
+ */
+class WalletModal extends Modal {
+    static TYPE_LABELS = {
+        bet: 'Ставка',
+        payout: 'Выплата',
+        deposit: 'Пополнение',
+        adjustment: 'Корректировка',
+        refund: 'Возврат'
+    };
+
+    constructor() {
+        super(document.getElementById('modal-wallet'));
+    }
+
+    /**
+     * Итоги Wallet.audit(): остаток, суммы по типам и результат проверки
+     */
+    renderAudit(audit) {
+        const box = this.find('#wallet-audit');
+        if (!box) return;
+
+        const rows = [
+            ['Баланс по журналу', DOMHelper.formatMoney(audit.balance)],
+            ['Записей', String(audit.count)],
+            ...Object.entries(audit.totals).map(([type, sum]) => [WalletModal.TYPE_LABELS[type], DOMHelper.formatMoney(sum)]),
+            ['Проверка', audit.ok ? 'OK' : `Ошибок: ${audit.errors.length}`]
+        ];
+
+        box.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            box.appendChild(DOMHelper.create('div', { class: 'fair-row' }, [
+                DOMHelper.create('span', { class: 'fair-label' }, [label]),
+                DOMHelper.create('span', { class: 'fair-mono' }, [value])
+            ]));
+        });
+        audit.errors.slice(0, 5).forEach(error => {
+            box.appendChild(DOMHelper.create('div', { class: 'fair-mono fair-error' }, [error]));
+        });
+    }
+
+    /**
+     * Итоги Wallet.reconcile(): журнал против истории ставок (null - история недоступна)
+     */
+    renderReconcile(report) {
+        const box = this.find('#wallet-reconcile');
+        if (!box) return;
+
+        box.innerHTML = '';
+        if (!report) {
+            box.appendChild(DOMHelper.create('div', { class: 'fair-mono fair-error' }, ['История ставок недоступна']));
+            return;
+        }
+
+        const rows = [
+            ['Сверка', report.ok ? 'OK' : `Расхождений: ${report.mismatches.length}`],
+            ['В полете', String(report.pending.length)],
+            ['Закрыто возвратом', String(report.refunded.length)],
+            ['Без записи в истории', String(report.unrecorded.length)],
+            ['Старше журнала', String(report.skipped)]
+        ];
+        rows.forEach(([label, value]) => {
+            box.appendChild(DOMHelper.create('div', { class: 'fair-row' }, [
+                DOMHelper.create('span', { class: 'fair-label' }, [label]),
+                DOMHelper.create('span', { class: 'fair-mono' }, [value])
+            ]));
+        });
+        report.mismatches.slice(0, 5).forEach(({ betId, reason, ledger, history }) => {
+            const detail = ledger !== undefined ? `: журнал ${ledger}, история ${history}` : '';
+            box.appendChild(DOMHelper.create('div', { class: 'fair-mono fair-error' }, [`${betId} ${reason}${detail}`]));
+        });
+    }
+
+    /**
+     * Записи журнала, новые сверху
+     */
+    renderEntries(entries) {
+        const list = this.find('#wallet-entries');
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (!entries.length) {
+            list.appendChild(DOMHelper.create('div', { class: 'fair-empty' }, ['Операций пока нет']));
+            return;
+        }
+
+        entries.forEach(entry => {
+            const time = new Date(entry.createdAt).toLocaleString(UI_CONFIG.formatting.locale);
+            const ref = entry.roundId || entry.note || '';
+            list.appendChild(DOMHelper.create('div', { class: 'wallet-entry' }, [
+                DOMHelper.create('div', { class: 'fair-row' }, [
+                    DOMHelper.create('span', {}, [`#${entry.seq} ${WalletModal.TYPE_LABELS[entry.type]}`]),
+                    DOMHelper.create('span', { class: entry.amount < 0 ? 'fair-error' : 'wallet-credit' }, [
+                        `${entry.amount > 0 ? '+' : ''}${DOMHelper.formatMoney(entry.amount)}`
+                    ])
+                ]),
+                DOMHelper.create('div', { class: 'fair-row fair-label' }, [
+                    DOMHelper.create('span', {}, [time]),
+                    DOMHelper.create('span', {}, [`= ${DOMHelper.formatMoney(entry.balance)}`])
+                ]),
+                DOMHelper.create('div', { class: 'fair-mono fair-label' }, [ref])
+            ]));
+        });
+    }
+}
+
+/**
+ * Окно истории ставок: фильтры, страница записей и итоги по фильтру.
+ * Записи читает HistoryStore из panel.js.
+ */
+class HistoryModal extends Modal {
+    static DAY_MS = 24 * 60 * 60 * 1000;
+
+    constructor() {
+        super(document.getElementById('modal-history'));
+    }
+
+    renderRowsOptions(rowsList) {
+        const select = this.find('#history-rows');
+        if (!select) return;
+
+        const selected = select.value;
+        select.innerHTML = '';
+        select.appendChild(DOMHelper.create('option', { value: '' }, ['Любые ряды']));
+        rowsList.forEach(rows => {
+            select.appendChild(DOMHelper.create('option', { value: rows }, [`${rows} Рядов`]));
+        });
+        // Пропавшие ряды в фильтре заменяются на "Любые"
+        select.value = rowsList.includes(parseInt(selected)) ? selected : '';
+    }
+
+    /**
+     * Период в днях от сегодняшнего: 0 - сегодня, 1 - вчера
+     */
+    setDay(daysAgo) {
+        const day = new Date();
+        day.setDate(day.getDate() - daysAgo);
+        const value = `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+        this.find('#history-from').value = value;
+        this.find('#history-to').value = value;
+    }
+
+    /**
+     * Фильтр для HistoryStore.query. Даты - локальные сутки включительно.
+     */
+    getFilter() {
+        const from = this.find('#history-from').value;
+        const to = this.find('#history-to').value;
+        const number = (selector) => {
+            const value = this.find(selector).value;
+            return value === '' ? null : parseFloat(value);
+        };
+
+        return {
+            from: from ? new Date(`${from}T00:00:00`).getTime() : null,
+            to: to ? new Date(`${to}T00:00:00`).getTime() + HistoryModal.DAY_MS - 1 : null,
+            risk: this.find('#history-risk').value || null,
+            rows: parseInt(this.find('#history-rows').value) || null,
+            result: this.find('#history-result').value || null,
+            minMultiplier: number('#history-mult-min'),
+            maxMultiplier: number('#history-mult-max')
+        };
+    }
+
+    /**
+     * Страница ответа HistoryStore.query
+     */
+    renderPage({ items, page, pages, summary }) {
+        const totals = this.find('#history-summary');
+        totals.innerHTML = '';
+        [
+            ['Ставок', String(summary.count)],
+            ['Поставлено', DOMHelper.formatMoney(summary.stake)],
+            ['Выплачено', DOMHelper.formatMoney(summary.payout)],
+            ['Профит', `${summary.profit > 0 ? '+' : ''}${DOMHelper.formatMoney(summary.profit)}`]
+        ].forEach(([label, value]) => {
+            totals.appendChild(DOMHelper.create('div', { class: 'fair-row' }, [
+                DOMHelper.create('span', { class: 'fair-label' }, [label]),
+                DOMHelper.create('span', { class: 'fair-mono' }, [value])
+            ]));
+        });
+
+        const list = this.find('#history-list');
+        list.innerHTML = '';
+        if (!items.length) {
+            list.appendChild(DOMHelper.create('div', { class: 'fair-empty' }, [window.UI.t('history.empty')]));
+        }
+        items.forEach(record => list.appendChild(this.createEntry(record)));
+
+        this.find('#history-page').textContent = `${page} / ${pages}`;
+        this.find('#history-prev').disabled = page <= 1;
+        this.find('#history-next').disabled = page >= pages;
+    }
+
+    createEntry(record) {
+        const time = new Date(record.placedAt).toLocaleString(UI_CONFIG.formatting.locale);
+        const stake = record.balls > 1
+            ? `${DOMHelper.formatMoney(record.bet)} × ${record.balls}`
+            : DOMHelper.formatMoney(record.bet);
+        const slot = record.slotIndex !== null ? `слот ${record.slotIndex}` : `${record.balls} шар.`;
+
+        return DOMHelper.create('div', { class: 'history-entry' }, [
+            DOMHelper.create('div', { class: 'fair-row' }, [
+                DOMHelper.create('span', {}, [`${stake} · ${record.multiplier}x`]),
+                DOMHelper.create('span', { class: record.win ? 'wallet-credit' : 'fair-error' }, [DOMHelper.formatMoney(record.payout)])
+            ]),
+            DOMHelper.create('div', { class: 'fair-row fair-label' }, [
+                DOMHelper.create('span', {}, [time]),
+                DOMHelper.create('span', {}, [`${record.rows} / ${record.risk} · ${slot}`])
+            ]),
+            DOMHelper.create('div', { class: 'fair-mono fair-label' }, [
+                `#${record.nonce} · ${record.serverSeedHash ? record.serverSeedHash.slice(0, 16) : record.id}`
+            ])
+        ]);
+    }
+}
+
+/**
+ * Единая точка входа в слой представления.
+ * gamelogic.js и panel.js работают с интерфейсом только через window.UI.
+ */
+class UIManager {
+    constructor() {
+        this.balanceDisplay = new BalanceDisplay();
+        this.multipliers = new GameMultipliers();
+        this.winPopup = new WinPopup();
+        this.fairness = new FairnessModal();
+        this.replay = new ReplayModal();
+        this.payTable = new PayTableModal();
+        this.gameInfo = new GameInfoModal();
+        this.backtest = new BacktestModal();
+        this.wallet = new WalletModal();
+        this.history = new HistoryModal();
+        this.ballsCount = document.getElementById('balls-count');
+
+        // Слоты под полем всегда соответствуют текущей таблице выплат
+        this.multipliers.init();
+        MathConfig.onChange(() => this.multipliers.init());
+    }
+
+    /**
+     * Перевод по пути вида 'errors.no_funds'
+     */
+    t(path) {
+        const dict = I18N[Store.data.language] || I18N.ru;
+        return path.split('.').reduce((node, key) => (node ? node[key] : undefined), dict) || path;
+    }
+
+    getBalance() {
+        return Store.balance;
+    }
+
+    setBalance(value) {
+        Store.balance = MathUtils.roundMoney(value);
+    }
+
+    updateBetAmount(amount) {
+        Store.currentBet = amount;
+    }
+
+    showWin(amount, multiplier) {
+        this.winPopup.show(amount, multiplier);
+    }
+
+    /**
+     * Оверлей "Balls: N" - шарики в полете и в очереди
+     */
+    setBallsCount(count) {
+        if (this.ballsCount) this.ballsCount.innerText = count;
+    }
+
+    /**
+     * Вызывается GameLogic, когда шарик попал в слот.
+     * Бизнес-логику (начисление, история, авто-ставки, попап выигрыша
+     * по всей ставке) на этот хук навешивает PanelController.
+     */
+    onBallLanded(result) {}
+}
+
+window.UI = new UIManager();